@@ -1,10 +1,15 @@
 // ─── Lingo-Mail Background Service Worker ───
-// Routes messages between content script and Lingo.dev API + Gemini API
+// Routes messages between content script and the selected translation provider + Gemini API
 // API endpoints derived from @lingo.dev/_sdk source code
 
+importScripts("langdetect.js");
+
 const LINGO_API_BASE = "https://engine.lingo.dev";
 const GEMINI_API_BASE = "https://generativelanguage.googleapis.com/v1beta";
 const GEMINI_MODEL = "gemini-2.5-flash";
+const DEFAULT_LIBRETRANSLATE_URL = "https://libretranslate.com";
+// Below this confidence the offline detector defers to the provider's API
+const LOCAL_DETECTION_MIN_CONFIDENCE = 0.5;
 
 const LANGUAGE_NAMES = {
     en: "English", es: "Spanish", fr: "French", de: "German", it: "Italian",
@@ -16,6 +21,708 @@ const LANGUAGE_NAMES = {
     ta: "Tamil", te: "Telugu", mr: "Marathi", gu: "Gujarati", kn: "Kannada",
 };
 
+// ── Storage Helpers ──
+
+function storageGet(keys) {
+    return new Promise((resolve) => {
+        chrome.storage.local.get(keys, (result) => resolve(result || {}));
+    });
+}
+
+function storageSet(items) {
+    return new Promise((resolve) => {
+        chrome.storage.local.set(items, () => resolve());
+    });
+}
+
+function storageRemove(keys) {
+    return new Promise((resolve) => {
+        chrome.storage.local.remove(keys, () => resolve());
+    });
+}
+
+// Serialized read-modify-write of a single storage key, so concurrent
+// messages from several open emails don't overwrite each other's updates
+const storageWriteQueues = new Map();
+
+function updateStorageValue(key, updater) {
+    const previous = storageWriteQueues.get(key) || Promise.resolve();
+    const next = previous.then(async () => {
+        const result = await storageGet([key]);
+        const value = updater(result[key]);
+        await storageSet({ [key]: value });
+        return value;
+    });
+    storageWriteQueues.set(key, next.catch(() => {}));
+    return next;
+}
+
+// ── Request Scheduler ──
+// Every provider request goes through this queue: per-host concurrency,
+// retries with exponential backoff and jitter on 429/5xx (honouring
+// Retry-After, which also pauses the rest of that host's queue), sharing of
+// identical in-flight requests, and cancellation through AbortSignals.
+
+const DEFAULT_REQUEST_CONCURRENCY = 4;
+const MAX_REQUEST_RETRIES = 4;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 60000;
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+let requestConcurrency = DEFAULT_REQUEST_CONCURRENCY;
+const hostQueues = new Map();       // origin → { active, pending, pausedUntil, timer }
+const inFlightRequests = new Map(); // dedupe key → job
+
+function cancelledError() {
+    return new DOMException("Request cancelled", "AbortError");
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener("abort", () => {
+            clearTimeout(timer);
+            reject(cancelledError());
+        }, { once: true });
+    });
+}
+
+// Full jitter: anywhere between 0 and the exponential ceiling
+function backoffDelay(attempt) {
+    return Math.random() * Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+}
+
+function retryAfterDelay(response, attempt) {
+    const header = response.headers.get("Retry-After");
+    if (header) {
+        const seconds = Number(header);
+        const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - Date.now();
+        if (ms >= 0) return Math.min(ms, RETRY_MAX_DELAY_MS);
+    }
+    return backoffDelay(attempt);
+}
+
+/**
+ * fetch() through the scheduler. Resolves with the final response (after
+ * retries, so callers still see a 429 if it never cleared). Identical
+ * requests share one network call; pass `dedupeKey` when the body holds
+ * per-request noise. Aborting `signal` rejects this caller only — the
+ * network call, including a body still being streamed, stops once every
+ * caller sharing it has gone.
+ */
+function scheduledFetch(url, options = {}, { signal, dedupeKey } = {}) {
+    if (signal?.aborted) return Promise.reject(cancelledError());
+
+    const key = `${options.method || "GET"} ${url} ${dedupeKey ?? options.body ?? ""}`;
+    let job = inFlightRequests.get(key);
+    if (!job) {
+        job = { key, url, options, callers: 0, controller: new AbortController() };
+        job.result = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+        job.result.catch(() => {});
+        inFlightRequests.set(key, job);
+        enqueueJob(job);
+    }
+    job.callers++;
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            reject(cancelledError());
+            if (--job.callers === 0) abortJob(job);
+        };
+        signal?.addEventListener("abort", onAbort, { once: true });
+        job.result.then(
+            (response) => {
+                // The abort listener stays: the caller may still be reading the body
+                resolve(response.clone());
+            },
+            (err) => {
+                signal?.removeEventListener("abort", onAbort);
+                reject(err);
+            }
+        );
+    });
+}
+
+function getHostQueue(url) {
+    const origin = new URL(url).origin;
+    if (!hostQueues.has(origin)) {
+        hostQueues.set(origin, { active: 0, pending: [], pausedUntil: 0, timer: null });
+    }
+    return hostQueues.get(origin);
+}
+
+function enqueueJob(job) {
+    job.queue = getHostQueue(job.url);
+    job.queue.pending.push(job);
+    pumpQueue(job.queue);
+}
+
+function abortJob(job) {
+    if (inFlightRequests.get(job.key) === job) inFlightRequests.delete(job.key);
+    job.controller.abort();
+    const index = job.queue.pending.indexOf(job);
+    if (index !== -1) job.queue.pending.splice(index, 1);
+    job.reject(cancelledError());
+}
+
+function pumpQueue(queue) {
+    const wait = queue.pausedUntil - Date.now();
+    if (wait > 0) {
+        if (!queue.timer) {
+            queue.timer = setTimeout(() => {
+                queue.timer = null;
+                pumpQueue(queue);
+            }, wait);
+        }
+        return;
+    }
+
+    while (queue.active < requestConcurrency && queue.pending.length > 0) {
+        const job = queue.pending.shift();
+        queue.active++;
+        runJob(job).finally(() => {
+            queue.active--;
+            pumpQueue(queue);
+        });
+    }
+}
+
+async function runJob(job) {
+    const { signal } = job.controller;
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await fetch(job.url, { ...job.options, signal });
+            if (!RETRYABLE_STATUSES.has(response.status) || attempt >= MAX_REQUEST_RETRIES) {
+                inFlightRequests.delete(job.key);
+                job.resolve(response);
+                return;
+            }
+            const delay = retryAfterDelay(response, attempt);
+            if (response.status === 429) {
+                job.queue.pausedUntil = Math.max(job.queue.pausedUntil, Date.now() + delay);
+            }
+            await sleep(delay, signal);
+        } catch (err) {
+            // Network failures are retried too; cancellation is final
+            if (signal.aborted || attempt >= MAX_REQUEST_RETRIES) {
+                inFlightRequests.delete(job.key);
+                job.reject(signal.aborted ? cancelledError() : err);
+                return;
+            }
+            await sleep(backoffDelay(attempt), signal).catch(() => {});
+        }
+    }
+}
+
+storageGet(["requestConcurrency"]).then((result) => {
+    requestConcurrency = result.requestConcurrency || DEFAULT_REQUEST_CONCURRENCY;
+});
+
+chrome.storage.onChanged.addListener((changes) => {
+    if (changes.requestConcurrency) {
+        requestConcurrency = changes.requestConcurrency.newValue || DEFAULT_REQUEST_CONCURRENCY;
+        hostQueues.forEach(pumpQueue);
+    }
+});
+
+// Cancellation handles for messages that carry a requestId, keyed by tab
+const cancellableRequests = new Map();
+
+function trackRequest(sender, requestId) {
+    const key = `${sender.tab?.id ?? "extension"}:${requestId}`;
+    const controller = new AbortController();
+    cancellableRequests.set(key, controller);
+    return {
+        signal: controller.signal,
+        release: () => cancellableRequests.delete(key),
+    };
+}
+
+function cancelRequest(sender, requestId) {
+    const key = `${sender.tab?.id ?? "extension"}:${requestId}`;
+    cancellableRequests.get(key)?.abort();
+    cancellableRequests.delete(key);
+}
+
+// A closed tab no longer needs any of its results
+chrome.tabs.onRemoved.addListener((tabId) => {
+    cancellableRequests.forEach((controller, key) => {
+        if (key.startsWith(`${tabId}:`)) {
+            controller.abort();
+            cancellableRequests.delete(key);
+        }
+    });
+});
+
+// ── Persistent Result Cache ──
+// Translations, detections and summaries are kept in chrome.storage.local so
+// they survive Gmail reloads and service worker restarts. Each entry lives
+// under its own key; a small index tracks size and access time for TTL
+// expiry and LRU eviction.
+
+const CACHE_PREFIX = "lingoCache:";
+const CACHE_INDEX_KEY = "lingoCacheIndex";
+const CACHE_MAX_ENTRIES = 500;
+const CACHE_MAX_BYTES = 4 * 1024 * 1024; // stay well below the 10 MB storage quota
+const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const CACHE_INDEX_WRITE_DELAY_MS = 2000;
+
+let cacheIndexPromise = null;
+let cacheIndexTimer = null;
+
+function loadCacheIndex() {
+    if (!cacheIndexPromise) {
+        cacheIndexPromise = storageGet([CACHE_INDEX_KEY]).then(
+            (result) => result[CACHE_INDEX_KEY] || {}
+        );
+    }
+    return cacheIndexPromise;
+}
+
+async function persistCacheIndex() {
+    clearTimeout(cacheIndexTimer);
+    cacheIndexTimer = null;
+    const index = await loadCacheIndex();
+    await storageSet({ [CACHE_INDEX_KEY]: index });
+}
+
+// Cache hits only refresh access times, so their index writes are batched.
+// Losing the last few on a worker restart just makes LRU order slightly stale.
+function schedulePersistCacheIndex() {
+    if (cacheIndexTimer) return;
+    cacheIndexTimer = setTimeout(() => {
+        persistCacheIndex().catch(() => {});
+    }, CACHE_INDEX_WRITE_DELAY_MS);
+}
+
+async function hashContent(text) {
+    const bytes = new TextEncoder().encode(text || "");
+    const digest = await crypto.subtle.digest("SHA-256", bytes);
+    return Array.from(new Uint8Array(digest))
+        .map((b) => b.toString(16).padStart(2, "0"))
+        .join("");
+}
+
+/**
+ * Build a cache key from the operation, its identifying parts (message id,
+ * locales, ...) and a hash of the content being processed.
+ */
+async function buildCacheKey(kind, parts, content) {
+    const hash = await hashContent(content);
+    return [kind, ...parts.map((part) => part || "auto"), hash].join("|");
+}
+
+async function cacheGet(key) {
+    const index = await loadCacheIndex();
+    const meta = index[key];
+    if (!meta) return null;
+
+    if (Date.now() - meta.createdAt > CACHE_TTL_MS) {
+        delete index[key];
+        await storageRemove([CACHE_PREFIX + key]);
+        await persistCacheIndex();
+        return null;
+    }
+
+    const result = await storageGet([CACHE_PREFIX + key]);
+    const value = result[CACHE_PREFIX + key];
+    if (value === undefined) {
+        delete index[key];
+        await persistCacheIndex();
+        return null;
+    }
+
+    meta.lastUsed = Date.now();
+    schedulePersistCacheIndex();
+    return value;
+}
+
+async function cacheSet(key, value) {
+    const index = await loadCacheIndex();
+    const size = key.length + JSON.stringify(value).length;
+    if (size > CACHE_MAX_BYTES) return;
+
+    const now = Date.now();
+    index[key] = { size, createdAt: now, lastUsed: now };
+    await storageSet({ [CACHE_PREFIX + key]: value });
+    await evictCacheEntries(index);
+    await persistCacheIndex();
+}
+
+async function evictCacheEntries(index) {
+    const now = Date.now();
+    const evicted = [];
+    const live = [];
+    let totalBytes = 0;
+
+    for (const [key, meta] of Object.entries(index)) {
+        if (now - meta.createdAt > CACHE_TTL_MS) {
+            evicted.push(key);
+        } else {
+            live.push([key, meta]);
+            totalBytes += meta.size;
+        }
+    }
+
+    // Least recently used first
+    live.sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+    while (live.length > CACHE_MAX_ENTRIES || totalBytes > CACHE_MAX_BYTES) {
+        const [key, meta] = live.shift();
+        totalBytes -= meta.size;
+        evicted.push(key);
+    }
+
+    if (evicted.length === 0) return;
+    evicted.forEach((key) => delete index[key]);
+    await storageRemove(evicted.map((key) => CACHE_PREFIX + key));
+}
+
+/**
+ * Return the cached value for `key`, or run `producer` and cache its result.
+ */
+async function withCache(key, producer) {
+    const cached = await cacheGet(key);
+    if (cached !== null) return cached;
+
+    const value = await producer();
+    await cacheSet(key, value);
+    return value;
+}
+
+async function clearCache() {
+    const all = await storageGet(null);
+    const keys = Object.keys(all).filter((key) => key.startsWith(CACHE_PREFIX));
+    const index = await loadCacheIndex();
+    Object.keys(index).forEach((key) => delete index[key]);
+    await storageRemove(keys);
+    await persistCacheIndex();
+    return { cleared: keys.length };
+}
+
+async function getCacheStats() {
+    const index = await loadCacheIndex();
+    const entries = Object.values(index);
+    return {
+        entries: entries.length,
+        bytes: entries.reduce((sum, meta) => sum + meta.size, 0),
+    };
+}
+
+// ── Usage Metering ──
+// Characters, detections, summaries, PDF chunks and Gemini tokens per day
+// and per API, counted only for calls that actually reach the network (not
+// cache hits). Optional daily/monthly caps per API switch auto-translate
+// back to the manual Translate button once reached.
+
+const USAGE_KEY = "usage";
+const USAGE_CAPS_KEY = "usageCaps";
+const USAGE_RETENTION_DAYS = 90;
+
+// The unit each API bills by, which is what its caps are set in
+const BILLING_UNITS = { lingo: "characters", libretranslate: "characters", gemini: "tokens" };
+
+function dayKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Never fails: a lost counter must not fail the translation it counts
+function recordUsage(apiId, counters) {
+    return updateStorageValue(USAGE_KEY, (current) => {
+        const usage = current || {};
+        const today = dayKey();
+        usage[today] = usage[today] || {};
+        const totals = usage[today][apiId] || {};
+        Object.entries(counters).forEach(([name, amount]) => {
+            if (amount) totals[name] = (totals[name] || 0) + amount;
+        });
+        usage[today][apiId] = totals;
+
+        const cutoff = dayKey(new Date(Date.now() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+        Object.keys(usage).forEach((day) => {
+            if (day < cutoff) delete usage[day];
+        });
+        return usage;
+    }).catch(() => {});
+}
+
+async function getUsage() {
+    const result = await storageGet([USAGE_KEY, USAGE_CAPS_KEY]);
+    return {
+        usage: result[USAGE_KEY] || {},
+        caps: result[USAGE_CAPS_KEY] || {},
+        units: BILLING_UNITS,
+    };
+}
+
+async function setUsageCaps(apiId, caps) {
+    if (!BILLING_UNITS[apiId]) throw new Error(`Unknown API: ${apiId}`);
+    const toLimit = (value) => (Number(value) > 0 ? Math.floor(Number(value)) : 0);
+    return updateStorageValue(USAGE_CAPS_KEY, (current) => ({
+        ...(current || {}),
+        [apiId]: { daily: toLimit(caps?.daily), monthly: toLimit(caps?.monthly) },
+    }));
+}
+
+/**
+ * Describe the reached cap of an API, or return null while it is within
+ * budget. Days are local, so "today" matches what the popup shows.
+ */
+async function getBudgetStatus(apiId) {
+    const { usage, caps } = await getUsage();
+    const cap = caps[apiId];
+    if (!cap?.daily && !cap?.monthly) return null;
+
+    const unit = BILLING_UNITS[apiId];
+    const today = dayKey();
+    const month = today.substring(0, 7);
+    let daily = 0;
+    let monthly = 0;
+    Object.entries(usage).forEach(([day, apis]) => {
+        const amount = apis[apiId]?.[unit] || 0;
+        if (day === today) daily += amount;
+        if (day.startsWith(month)) monthly += amount;
+    });
+
+    const name = TRANSLATION_PROVIDERS[apiId]?.name || apiId;
+    if (cap.daily && daily >= cap.daily) {
+        return `Daily ${name} budget reached (${daily.toLocaleString()} of ${cap.daily.toLocaleString()} ${unit})`;
+    }
+    if (cap.monthly && monthly >= cap.monthly) {
+        return `Monthly ${name} budget reached (${monthly.toLocaleString()} of ${cap.monthly.toLocaleString()} ${unit})`;
+    }
+    return null;
+}
+
+// ── Thread Language Memory ──
+// The source language of each Gmail thread (SRS FR12). Entries set by the
+// user from the language badge are overrides (FR13): they are reused for
+// every message in the thread and never replaced by detection.
+
+const THREAD_LANGUAGES_KEY = "threadLanguages";
+const MAX_REMEMBERED_THREADS = 1000;
+
+async function getThreadLanguage(threadId) {
+    if (!threadId) return null;
+    const result = await storageGet([THREAD_LANGUAGES_KEY]);
+    return result[THREAD_LANGUAGES_KEY]?.[threadId] || null;
+}
+
+async function setThreadLanguage(threadId, locale, manual) {
+    if (!threadId) return null;
+    const threads = await updateStorageValue(THREAD_LANGUAGES_KEY, (current) => {
+        const threads = current || {};
+        if (!locale) {
+            delete threads[threadId];
+            return threads;
+        }
+        if (!manual && threads[threadId]?.manual) return threads;
+
+        threads[threadId] = { locale, manual: !!manual, updatedAt: Date.now() };
+
+        // Forget the least recently updated threads
+        const ids = Object.keys(threads);
+        if (ids.length > MAX_REMEMBERED_THREADS) {
+            ids.sort((a, b) => threads[a].updatedAt - threads[b].updatedAt)
+                .slice(0, ids.length - MAX_REMEMBERED_THREADS)
+                .forEach((id) => delete threads[id]);
+        }
+        return threads;
+    });
+    return threads[threadId] || null;
+}
+
+// Per-thread override of the global "check language before sending" setting
+const SEND_GUARD_THREADS_KEY = "sendGuardThreads";
+
+async function getSendGuard(threadId) {
+    if (!threadId) return null;
+    const result = await storageGet([SEND_GUARD_THREADS_KEY]);
+    const enabled = result[SEND_GUARD_THREADS_KEY]?.[threadId]?.enabled;
+    return typeof enabled === "boolean" ? enabled : null;
+}
+
+async function setSendGuard(threadId, enabled) {
+    if (!threadId) return;
+    await updateStorageValue(SEND_GUARD_THREADS_KEY, (current) => {
+        const threads = current || {};
+        threads[threadId] = { enabled: !!enabled, updatedAt: Date.now() };
+
+        const ids = Object.keys(threads);
+        if (ids.length > MAX_REMEMBERED_THREADS) {
+            ids.sort((a, b) => threads[a].updatedAt - threads[b].updatedAt)
+                .slice(0, ids.length - MAX_REMEMBERED_THREADS)
+                .forEach((id) => delete threads[id]);
+        }
+        return threads;
+    });
+}
+
+// ── Contact Language Profiles ──
+// Languages detected in mail received from each sender address. The most
+// frequent one pre-selects the reply language (SRS FR8); entries edited in
+// the settings UI are manual and no longer follow detection.
+
+const CONTACT_LANGUAGES_KEY = "contactLanguages";
+const MAX_CONTACT_PROFILES = 2000;
+const MAX_COUNTED_MESSAGES = 50; // per contact, so reopening a message doesn't count it again
+
+function normalizeEmail(email) {
+    return (email || "").trim().toLowerCase();
+}
+
+async function getContactLanguages(emails) {
+    const result = await storageGet([CONTACT_LANGUAGES_KEY]);
+    const contacts = result[CONTACT_LANGUAGES_KEY] || {};
+    const wanted = emails ? emails.map(normalizeEmail) : Object.keys(contacts);
+    const profiles = {};
+    wanted.forEach((email) => {
+        if (contacts[email]) {
+            profiles[email] = { locale: contacts[email].locale, manual: contacts[email].manual };
+        }
+    });
+    return profiles;
+}
+
+function pruneContacts(contacts) {
+    const emails = Object.keys(contacts);
+    if (emails.length <= MAX_CONTACT_PROFILES) return;
+    emails.sort((a, b) => contacts[a].updatedAt - contacts[b].updatedAt)
+        .slice(0, emails.length - MAX_CONTACT_PROFILES)
+        .forEach((email) => delete contacts[email]);
+}
+
+async function recordContactLanguage(email, locale, messageId) {
+    const address = normalizeEmail(email);
+    if (!address || !locale || locale === "unknown") return;
+
+    await updateStorageValue(CONTACT_LANGUAGES_KEY, (current) => {
+        const contacts = current || {};
+        const profile = contacts[address] || { counts: {}, locale, manual: false };
+        if (messageId) {
+            const counted = profile.messages || [];
+            if (counted.includes(messageId)) return contacts;
+            profile.messages = [...counted, messageId].slice(-MAX_COUNTED_MESSAGES);
+        }
+        profile.counts[locale] = (profile.counts[locale] || 0) + 1;
+        if (!profile.manual) {
+            profile.locale = Object.keys(profile.counts)
+                .reduce((best, code) => (profile.counts[code] > profile.counts[best] ? code : best));
+        }
+        profile.updatedAt = Date.now();
+        contacts[address] = profile;
+        pruneContacts(contacts);
+        return contacts;
+    });
+}
+
+async function setContactLanguage(email, locale) {
+    const address = normalizeEmail(email);
+    if (!address) throw new Error("Please enter an email address");
+
+    await updateStorageValue(CONTACT_LANGUAGES_KEY, (current) => {
+        const contacts = current || {};
+        if (!locale) {
+            delete contacts[address];
+            return contacts;
+        }
+        contacts[address] = {
+            counts: contacts[address]?.counts || {},
+            messages: contacts[address]?.messages || [],
+            locale,
+            manual: true,
+            updatedAt: Date.now(),
+        };
+        pruneContacts(contacts);
+        return contacts;
+    });
+}
+
+// ── Glossary ──
+// User-defined term translations for a language pair, and terms that must
+// never be translated. Matching terms are swapped for placeholders before
+// text reaches a provider and restored afterwards, so every provider and
+// every path (email bodies, replies, PDFs) honours them.
+
+const GLOSSARY_KEY = "glossary";
+const TERM_PLACEHOLDER = /⟦\s*LM\s*(\d+)\s*⟧/g;
+
+function normalizeGlossary(glossary) {
+    const terms = (glossary?.terms || [])
+        .filter((entry) => entry?.term?.trim() && entry?.translation?.trim())
+        .map((entry) => ({
+            term: entry.term.trim(),
+            translation: entry.translation.trim(),
+            sourceLocale: entry.sourceLocale || "",
+            targetLocale: entry.targetLocale || "",
+        }));
+    const keep = [...new Set((glossary?.keep || []).map((term) => `${term}`.trim()).filter(Boolean))];
+    return { terms, keep };
+}
+
+async function getGlossary() {
+    const result = await storageGet([GLOSSARY_KEY]);
+    return normalizeGlossary(result[GLOSSARY_KEY]);
+}
+
+async function setGlossary(glossary) {
+    const normalized = normalizeGlossary(glossary);
+    await storageSet({ [GLOSSARY_KEY]: normalized });
+    return normalized;
+}
+
+/**
+ * Build a protector for one translation request. protect() swaps glossary
+ * and do-not-translate terms for numbered placeholders; restore() puts in
+ * the glossary translation or the original term. An empty source locale
+ * (auto-detect) matches entries for any source language.
+ */
+async function createTermProtector(sourceLocale, targetLocale) {
+    const glossary = await getGlossary();
+    const replacements = new Map();
+    glossary.keep.forEach((term) => replacements.set(term.toLowerCase(), null));
+    glossary.terms
+        .filter((entry) => !entry.targetLocale || entry.targetLocale === targetLocale)
+        .filter((entry) => !entry.sourceLocale || !sourceLocale || entry.sourceLocale === sourceLocale)
+        .forEach((entry) => replacements.set(entry.term.toLowerCase(), entry.translation));
+
+    if (replacements.size === 0) {
+        return { protect: (text) => text, protectHtml: (html) => html, restore: (text) => text };
+    }
+
+    // Longest terms first so "Lingo Mail Pro" wins over "Lingo Mail"
+    const alternatives = [...replacements.keys()]
+        .sort((a, b) => b.length - a.length)
+        .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join("|")})(?![\\p{L}\\p{N}])`, "giu");
+
+    const placeholders = [];
+    const indexes = new Map();
+    const protect = (text) => text.replace(pattern, (match) => {
+        if (!indexes.has(match)) {
+            const replacement = replacements.get(match.toLowerCase());
+            indexes.set(match, placeholders.length);
+            placeholders.push(replacement ?? match);
+        }
+        return `⟦LM${indexes.get(match)}⟧`;
+    });
+
+    return {
+        protect,
+        // Only text between tags, never tag names or attribute values
+        protectHtml: (html) => html.split(/(<[^>]*>)/)
+            .map((part) => (part.startsWith("<") ? part : protect(part)))
+            .join(""),
+        restore: (text) => text.replace(TERM_PLACEHOLDER, (placeholder, index) =>
+            placeholders[index] ?? placeholder
+        ),
+    };
+}
+
 // ── Lingo.dev API Helpers ──
 
 async function getApiKey() {
@@ -29,27 +736,56 @@ async function getApiKey() {
 async function getSettings() {
     return new Promise((resolve) => {
         chrome.storage.local.get(
-            ["lingoApiKey", "geminiApiKey", "targetLanguage", "autoTranslate"],
+            [
+                "lingoApiKey", "geminiApiKey", "targetLanguage", "autoTranslate",
+                "translationProvider", "libreTranslateUrl", "libreTranslateApiKey",
+                "replyMode", "sendGuard", "backTranslationCheck", "autoTranslateRules",
+                "readLanguages", "inboxTranslation", "summaryModel", "summaryStyle",
+                "summaryLength", "summaryPrompts",
+            ],
             (result) => {
                 resolve({
                     apiKey: result.lingoApiKey || "",
                     geminiApiKey: result.geminiApiKey || "",
                     targetLanguage: result.targetLanguage || "en",
                     autoTranslate: result.autoTranslate !== false,
+                    translationProvider: result.translationProvider || "lingo",
+                    libreTranslateUrl: result.libreTranslateUrl || DEFAULT_LIBRETRANSLATE_URL,
+                    libreTranslateApiKey: result.libreTranslateApiKey || "",
+                    replyMode: result.replyMode || "replace",
+                    sendGuard: result.sendGuard === true,
+                    backTranslationCheck: result.backTranslationCheck === true,
+                    autoTranslateRules: Array.isArray(result.autoTranslateRules) ? result.autoTranslateRules : [],
+                    readLanguages: Array.isArray(result.readLanguages) ? result.readLanguages : [],
+                    inboxTranslation: result.inboxTranslation || "off",
+                    summaryModel: SUMMARY_MODELS.includes(result.summaryModel) ? result.summaryModel : GEMINI_MODEL,
+                    summaryStyle: SUMMARY_STYLE_WORDS[result.summaryStyle] ? result.summaryStyle : "bullets",
+                    summaryLength: Number(result.summaryLength) || 0,
+                    summaryPrompts: result.summaryPrompts || {},
                 });
             }
         );
     });
 }
 
+// Settings for a single message, carrying its cancellation signal down to
+// the provider calls
+async function getRequestSettings(request) {
+    return { ...(await getSettings()), signal: request.signal };
+}
+
 /**
- * Call Lingo.dev Engine API for text translation.
+ * Call Lingo.dev Engine API to localize a map of key → string values.
  * Endpoint: POST /i18n
- * Body: { locale: { source, target }, data: { text: "..." } }
- * Response: { data: { text: "..." } }
+ * Body: { locale: { source, target }, data: { key: "..." } }
+ * Response: { data: { key: "..." } }
  */
-async function translateText(text, sourceLocale, targetLocale, apiKey) {
-    const response = await fetch(`${LINGO_API_BASE}/i18n`, {
+async function localizeData(data, sourceLocale, targetLocale, apiKey, signal) {
+    const locale = {
+        source: sourceLocale || null,
+        target: targetLocale,
+    };
+    const response = await scheduledFetch(`${LINGO_API_BASE}/i18n`, {
         method: "POST",
         headers: {
             "Content-Type": "application/json; charset=utf-8",
@@ -57,14 +793,13 @@ async function translateText(text, sourceLocale, targetLocale, apiKey) {
         },
         body: JSON.stringify({
             params: { workflowId: crypto.randomUUID(), fast: false },
-            locale: {
-                source: sourceLocale || null,
-                target: targetLocale,
-            },
-            data: {
-                text: text,
-            },
+            locale,
+            data,
         }),
+    }, {
+        signal,
+        // The workflow id differs on every call; the payload is what matters
+        dedupeKey: JSON.stringify({ apiKey, locale, data }),
     });
 
     if (!response.ok) {
@@ -76,46 +811,26 @@ async function translateText(text, sourceLocale, targetLocale, apiKey) {
     if (!jsonResponse.data && jsonResponse.error) {
         throw new Error(jsonResponse.error);
     }
-    return jsonResponse.data?.text || "";
+    return jsonResponse.data || {};
 }
 
 /**
- * Call Lingo.dev Engine API for HTML translation.
- * Since the API doesn't have a direct HTML endpoint, we translate the
- * text content and return it. For simple emails this works well.
- * We send the HTML as a text chunk for translation.
+ * Call Lingo.dev Engine API for text translation.
  */
-async function translateHtml(html, sourceLocale, targetLocale, apiKey) {
-    // Extract text from HTML for translation, then return translated text
-    // The API works with key-value pairs, so we send html as a value
-    const response = await fetch(`${LINGO_API_BASE}/i18n`, {
-        method: "POST",
-        headers: {
-            "Content-Type": "application/json; charset=utf-8",
-            Authorization: `Bearer ${apiKey}`,
-        },
-        body: JSON.stringify({
-            params: { workflowId: crypto.randomUUID(), fast: false },
-            locale: {
-                source: sourceLocale || null,
-                target: targetLocale,
-            },
-            data: {
-                content: html,
-            },
-        }),
-    });
-
-    if (!response.ok) {
-        const errorBody = await response.text();
-        throw new Error(`Lingo.dev API error (${response.status}): ${errorBody}`);
-    }
+async function translateText(text, sourceLocale, targetLocale, apiKey, signal) {
+    const data = await localizeData({ text }, sourceLocale, targetLocale, apiKey, signal);
+    return data.text || "";
+}
 
-    const jsonResponse = await response.json();
-    if (!jsonResponse.data && jsonResponse.error) {
-        throw new Error(jsonResponse.error);
-    }
-    return jsonResponse.data?.content || "";
+/**
+ * Call Lingo.dev Engine API for HTML translation.
+ * The API has no dedicated HTML endpoint, so the markup is sent as a single
+ * value. Email bodies go through translateSegments instead, which keeps the
+ * markup out of the request entirely.
+ */
+async function translateHtml(html, sourceLocale, targetLocale, apiKey, signal) {
+    const data = await localizeData({ content: html }, sourceLocale, targetLocale, apiKey, signal);
+    return data.content || "";
 }
 
 /**
@@ -124,15 +839,15 @@ async function translateHtml(html, sourceLocale, targetLocale, apiKey) {
  * Body: { text }
  * Response: { locale: "en" }
  */
-async function detectLanguage(text, apiKey) {
-    const response = await fetch(`${LINGO_API_BASE}/recognize`, {
+async function detectLanguage(text, apiKey, signal) {
+    const response = await scheduledFetch(`${LINGO_API_BASE}/recognize`, {
         method: "POST",
         headers: {
             "Content-Type": "application/json; charset=utf-8",
             Authorization: `Bearer ${apiKey}`,
         },
         body: JSON.stringify({ text }),
-    });
+    }, { signal });
 
     if (!response.ok) {
         const errorBody = await response.text();
@@ -146,18 +861,12 @@ async function detectLanguage(text, apiKey) {
 // ── Gemini API Helpers ──
 
 /**
- * Call Gemini API to summarize email text.
- * Endpoint: POST /v1beta/models/gemini-2.5-flash:generateContent?key={apiKey}
+ * Call Gemini generateContent and return the final (non-thought) text part.
+ * Endpoint: POST /v1beta/models/{model}:generateContent?key={apiKey}
  */
-async function summarizeText(text, apiKey, language) {
-    const langName = LANGUAGE_NAMES[language] || language || "the same language as the email";
-    const prompt = `You are an email summarizer. Summarize the following email concisely in 2-3 bullet points in ${langName}. Focus on the key information, action items, and important details. Use plain text, no markdown formatting. Keep each bullet point on its own line starting with "•". IMPORTANT: The summary MUST be written in ${langName}.
-
-Email:
-${text}`;
-
-    const response = await fetch(
-        `${GEMINI_API_BASE}/models/${GEMINI_MODEL}:generateContent?key=${apiKey}`,
+async function generateGeminiContent(prompt, apiKey, generationConfig, signal, model = GEMINI_MODEL) {
+    const response = await scheduledFetch(
+        `${GEMINI_API_BASE}/models/${model}:generateContent?key=${apiKey}`,
         {
             method: "POST",
             headers: {
@@ -170,12 +879,10 @@ ${text}`;
                         parts: [{ text: prompt }],
                     },
                 ],
-                generationConfig: {
-                    temperature: 0.3,
-                    maxOutputTokens: 1024,
-                },
+                generationConfig,
             }),
-        }
+        },
+        { signal }
     );
 
     if (!response.ok) {
@@ -184,30 +891,593 @@ ${text}`;
     }
 
     const jsonResponse = await response.json();
+    recordUsage("gemini", { tokens: jsonResponse.usageMetadata?.totalTokenCount });
     const candidate = jsonResponse.candidates?.[0];
     if (!candidate || !candidate.content?.parts) {
-        throw new Error("No summary generated by Gemini");
+        throw new Error("No content generated by Gemini");
     }
 
-    // gemini-2.5-flash is a thinking model — extract the last non-thought part
+    // Gemini 2.5 models think first — extract the last non-thought part
     const parts = candidate.content.parts;
-    let summaryText = "";
     for (let i = parts.length - 1; i >= 0; i--) {
         if (!parts[i].thought && parts[i].text) {
-            summaryText = parts[i].text;
-            break;
+            return parts[i].text;
         }
     }
+    return "";
+}
 
-    if (!summaryText) {
-        throw new Error("No summary text found in Gemini response");
-    }
+/**
+ * Call Gemini streamGenerateContent (server-sent events) and pass the text
+ * received so far to `onText` after every chunk, skipping thought parts.
+ * Resolves with the full text.
+ * Endpoint: POST /v1beta/models/{model}:streamGenerateContent?alt=sse&key={apiKey}
+ */
+async function streamGeminiContent(prompt, apiKey, generationConfig, signal, onText, model = GEMINI_MODEL) {
+    const response = await scheduledFetch(
+        `${GEMINI_API_BASE}/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`,
+        {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+            },
+            body: JSON.stringify({
+                contents: [
+                    {
+                        role: "user",
+                        parts: [{ text: prompt }],
+                    },
+                ],
+                generationConfig,
+            }),
+        },
+        { signal }
+    );
+
+    if (!response.ok) {
+        const errorBody = await response.text();
+        throw new Error(`Gemini API error (${response.status}): ${errorBody}`);
+    }
+
+    let text = "";
+    let usage = null;
+    const handleEvent = (event) => {
+        const data = event.split(/\r?\n/)
+            .filter((line) => line.startsWith("data:"))
+            .map((line) => line.slice(5).trimStart())
+            .join("\n");
+        if (!data) return;
+
+        const chunk = JSON.parse(data);
+        if (chunk.usageMetadata) usage = chunk.usageMetadata;
+        const added = (chunk.candidates?.[0]?.content?.parts || [])
+            .filter((part) => !part.thought && part.text)
+            .map((part) => part.text)
+            .join("");
+        if (added) {
+            text += added;
+            onText(text);
+        }
+    };
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    try {
+        for (;;) {
+            if (signal?.aborted) {
+                reader.cancel().catch(() => {});
+                throw cancelledError();
+            }
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            const events = buffer.split(/\r?\n\r?\n/);
+            buffer = events.pop();
+            events.forEach(handleEvent);
+        }
+        handleEvent(buffer + decoder.decode());
+    } finally {
+        // Usage arrives with the last chunk; a cancelled stream reports none
+        recordUsage("gemini", { tokens: usage?.totalTokenCount });
+    }
+    return text;
+}
+
+// Summaries have a configurable model, style, length and prompt. Templates
+// take {language}, {maxWords} and {email} placeholders; a style without a
+// custom template in `summaryPrompts` uses its default below.
+const SUMMARY_MODELS = ["gemini-2.5-flash", "gemini-2.5-flash-lite", "gemini-2.5-pro"];
+
+// Each style's length in words when no maximum is set
+const SUMMARY_STYLE_WORDS = { tldr: 40, bullets: 80, detailed: 250, actions: 150 };
+
+const SUMMARY_PLAIN_TEXT = "Use plain text, no markdown formatting. IMPORTANT: The summary MUST be written in {language}.";
+
+const DEFAULT_SUMMARY_PROMPTS = {
+    tldr: `You are an email summarizer. Summarize the following email in a single TL;DR sentence of at most {maxWords} words in {language}, stating the main point and anything the reader has to do. ${SUMMARY_PLAIN_TEXT}
+
+Email:
+{email}`,
+    bullets: `You are an email summarizer. Summarize the following email concisely in 2-3 bullet points in {language}, using at most {maxWords} words in total. Focus on the key information, action items, and important details. Keep each bullet point on its own line starting with "•". ${SUMMARY_PLAIN_TEXT}
+
+Email:
+{email}`,
+    detailed: `You are an email summarizer. Write a detailed summary of the following email in {language} in short paragraphs, using at most {maxWords} words. Cover the context, every request, decision, date and figure, and what is expected of the reader. ${SUMMARY_PLAIN_TEXT}
+
+Email:
+{email}`,
+    actions: `You are an email assistant. List only the action items in the following email in {language}: everything the reader is asked to do, decide or answer, with who should do it and by when where the email says so. Put each item on its own line starting with "•" and use at most {maxWords} words in total. If there are none, say so in one short sentence. ${SUMMARY_PLAIN_TEXT}
+
+Email:
+{email}`,
+};
+
+// `request.style` picks a style for one summary; otherwise the setting applies
+function getSummaryOptions(settings, request) {
+    const style = SUMMARY_STYLE_WORDS[request.style] ? request.style : settings.summaryStyle;
+    return {
+        apiKey: settings.geminiApiKey,
+        model: settings.summaryModel,
+        style,
+        maxWords: settings.summaryLength || SUMMARY_STYLE_WORDS[style],
+        template: settings.summaryPrompts[style] || DEFAULT_SUMMARY_PROMPTS[style],
+        language: request.language,
+    };
+}
+
+function summaryCacheKey(request, options) {
+    return buildCacheKey("summarize",
+        [request.messageId, options.language, options.model, options.style, String(options.maxWords)],
+        `${options.template}\u0000${request.text}`);
+}
+
+function fillSummaryPrompt(options, text) {
+    const values = {
+        language: LANGUAGE_NAMES[options.language] || options.language || "the same language as the email",
+        maxWords: String(options.maxWords),
+        email: text,
+    };
+    // A template without {email} still gets the email, after it
+    const template = options.template.includes("{email}") ? options.template : `${options.template}\n\nEmail:\n{email}`;
+    return template.replace(/\{(language|maxWords|email)\}/g, (_, name) => values[name]);
+}
+
+/**
+ * Summarize email text with Gemini using the options from
+ * getSummaryOptions. With `onText` the summary is streamed and `onText`
+ * receives the text so far as it grows.
+ */
+async function summarizeText(text, options, signal, onText) {
+    const prompt = fillSummaryPrompt(options, text);
+    const generationConfig = {
+        temperature: 0.3,
+        maxOutputTokens: Math.max(1024, options.maxWords * 8),
+    };
+    const summaryText = onText
+        ? await streamGeminiContent(prompt, options.apiKey, generationConfig, signal, onText, options.model)
+        : await generateGeminiContent(prompt, options.apiKey, generationConfig, signal, options.model);
+
+    if (!summaryText) {
+        throw new Error("No summary text found in Gemini response");
+    }
     return summaryText;
 }
 
+/**
+ * Summarize a whole conversation with Gemini into
+ * { overview, decisions, openQuestions, actionItems: [{ task, owner, due }] }.
+ * `messages` are [{ from, date, text, preview }] oldest first.
+ */
+async function summarizeThread(subject, messages, apiKey, language, signal) {
+    const langName = LANGUAGE_NAMES[language] || language || "English";
+    const transcript = messages.map((message, i) =>
+        `--- Message ${i + 1} of ${messages.length}${message.preview ? " (preview only)" : ""}
+From: ${message.from}
+Date: ${message.date}
+
+${message.text}`
+    ).join("\n\n");
+
+    const prompt = `You are summarizing an email conversation for a busy reader. Read every message and return a JSON object with these keys:
+- "overview": two or three sentences on what the conversation is about and where it stands now.
+- "decisions": array of strings, each a decision or agreement that was reached.
+- "openQuestions": array of strings, each a question or issue that is still unresolved.
+- "actionItems": array of objects { "task": string, "owner": string, "due": string } for every commitment or request. "owner" is the person responsible, "due" the deadline as written in the thread; use an empty string when either is not stated.
+Later messages override earlier ones. Messages marked "preview only" are truncated. Use empty arrays when there is nothing to report. Write all text in ${langName}, keeping names as they appear. Return only the JSON object.
+
+Subject: ${subject || "(none)"}
+
+${transcript}`;
+
+    const answer = await generateGeminiContent(prompt, apiKey, {
+        temperature: 0.2,
+        maxOutputTokens: 4096,
+        responseMimeType: "application/json",
+    }, signal);
+
+    let parsed;
+    try {
+        parsed = JSON.parse(answer);
+    } catch {
+        throw new Error("Gemini returned an invalid thread summary");
+    }
+    const strings = (list) => (Array.isArray(list) ? list : [])
+        .map((item) => String(item ?? "").trim())
+        .filter(Boolean);
+    return {
+        overview: String(parsed.overview ?? "").trim(),
+        decisions: strings(parsed.decisions),
+        openQuestions: strings(parsed.openQuestions),
+        actionItems: (Array.isArray(parsed.actionItems) ? parsed.actionItems : [])
+            .filter((item) => item?.task)
+            .map((item) => ({
+                task: String(item.task).trim(),
+                owner: String(item.owner ?? "").trim(),
+                due: String(item.due ?? "").trim(),
+            })),
+    };
+}
+
+/**
+ * Extract meetings and deadlines from an email's original text with Gemini.
+ * Dates come back normalized: timed events as UTC ISO strings, all-day
+ * events as YYYY-MM-DD. Entries without a usable date are dropped.
+ */
+async function extractEvents(text, context, apiKey, language, signal) {
+    const langName = LANGUAGE_NAMES[language] || language || "English";
+    const prompt = `You extract calendar entries from an email. Find every meeting, call, appointment and deadline with a specific date, and return a JSON array of objects with these keys:
+- "kind": "meeting" or "deadline".
+- "title": a short title in ${langName}.
+- "start": ISO 8601. For a specific time use date, time and UTC offset (e.g. 2025-03-14T15:00:00+01:00), taking the time zone from the email when it states one and ${context.timeZone} otherwise. Without a time use the date only (YYYY-MM-DD).
+- "end": same format as "start", or an empty string when not stated.
+- "location": place, address or meeting link, or an empty string.
+- "notes": one sentence in ${langName} on what it is about.
+Resolve relative dates ("next Tuesday", "tomorrow") against the date the email was sent: ${context.sentAt || context.now}. Ignore dates that are only mentioned in passing, such as past events. Return [] when there is nothing. Return only the JSON array.
+
+Email:
+${text}`;
+
+    const answer = await generateGeminiContent(prompt, apiKey, {
+        temperature: 0.1,
+        maxOutputTokens: 4096,
+        responseMimeType: "application/json",
+    }, signal);
+
+    let parsed;
+    try {
+        parsed = JSON.parse(answer);
+    } catch {
+        throw new Error("Gemini returned an invalid event list");
+    }
+    return (Array.isArray(parsed) ? parsed : []).map((item) => {
+        const start = normalizeEventDate(item?.start);
+        if (!start || !item.title) return null;
+        let end = normalizeEventDate(item.end);
+        if (end && (end.allDay !== start.allDay || end.value < start.value)) end = null;
+        return {
+            kind: item.kind === "deadline" ? "deadline" : "meeting",
+            title: String(item.title).trim(),
+            allDay: start.allDay,
+            start: start.value,
+            end: end?.value || "",
+            location: String(item.location ?? "").trim(),
+            notes: String(item.notes ?? "").trim(),
+        };
+    }).filter(Boolean);
+}
+
+// "YYYY-MM-DD" stays a date; anything with a time must carry an offset
+function normalizeEventDate(value) {
+    const text = String(value ?? "").trim();
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return { allDay: true, value: text };
+    if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) return null;
+    const date = new Date(text);
+    return isNaN(date) ? null : { allDay: false, value: date.toISOString() };
+}
+
+/**
+ * Ask Gemini for three short candidate replies to an email, written in
+ * `replyLanguage` (the thread's language) and each translated into
+ * `userLanguage`. Returns [{ reply, translation }].
+ */
+async function suggestReplies(text, replyLanguage, userLanguage, apiKey, signal) {
+    const replyName = LANGUAGE_NAMES[replyLanguage] || "the same language as the email";
+    const userName = LANGUAGE_NAMES[userLanguage] || userLanguage;
+    const sameLanguage = replyLanguage === userLanguage;
+    const prompt = `You suggest replies to an email. Write three different short replies (one to three sentences each) that the recipient could send back, covering different reasonable responses, for example agreeing, declining or asking for details. Write each reply in ${replyName}, in a register that matches the email. Do not add a greeting line or signature. Return a JSON array of three objects with the keys "reply" (the reply) and "translation" (${sameLanguage ? "an empty string" : `the reply translated into ${userName}`}). Return only the JSON array.
+
+Email:
+${text}`;
+
+    const answer = await generateGeminiContent(prompt, apiKey, {
+        temperature: 0.7,
+        maxOutputTokens: 2048,
+        responseMimeType: "application/json",
+    }, signal);
+
+    let parsed;
+    try {
+        parsed = JSON.parse(answer);
+    } catch {
+        throw new Error("Gemini returned invalid reply suggestions");
+    }
+    return (Array.isArray(parsed) ? parsed : [])
+        .filter((item) => item?.reply)
+        .slice(0, 3)
+        .map((item) => ({
+            reply: String(item.reply).trim(),
+            translation: sameLanguage ? "" : String(item.translation ?? "").trim(),
+        }));
+}
+
+// How each reply tone is described to Gemini
+const TONE_INSTRUCTIONS = {
+    formal: "formal and polite, as appropriate for business correspondence, using the language's formal register and honorifics where it has them",
+    neutral: "neutral and professional, neither stiff nor casual",
+    friendly: "warm and friendly, as between colleagues who know each other well",
+    concise: "concise: remove filler and redundancy while keeping every fact, request and commitment",
+};
+
+/**
+ * Rewrite translated reply segments in the requested tone with Gemini.
+ * Segments are rewritten one for one so the draft's formatting survives.
+ */
+async function adaptTone(segments, language, tone, apiKey, signal) {
+    const langName = LANGUAGE_NAMES[language] || language;
+    const prompt = `You are editing an email reply written in ${langName}. Rewrite every value of the following JSON object so the reply sounds ${TONE_INSTRUCTIONS[tone]}. Keep the meaning, names, numbers and dates unchanged and keep writing in ${langName}. The values are consecutive pieces of one email, so keep each piece in its place. Keep the keys unchanged and return only the JSON object.
+
+${JSON.stringify(segments)}`;
+
+    const answer = await generateGeminiContent(prompt, apiKey, {
+        temperature: 0.4,
+        maxOutputTokens: 8192,
+        responseMimeType: "application/json",
+    }, signal);
+    try {
+        return JSON.parse(answer);
+    } catch {
+        throw new Error("Gemini returned an invalid rewrite response");
+    }
+}
+
+// ── LibreTranslate API Helpers ──
+
+// Our locale codes that LibreTranslate instances may list under another code
+const LIBRETRANSLATE_ALIASES = { no: "nb", zh: "zh-Hans" };
+const libreLanguageLists = new Map();
+
+async function libreTranslateRequest(path, body, settings) {
+    const base = settings.libreTranslateUrl.replace(/\/+$/, "");
+    const options = { method: "GET" };
+    if (body) {
+        options.method = "POST";
+        options.headers = { "Content-Type": "application/json" };
+        options.body = JSON.stringify({
+            ...body,
+            api_key: settings.libreTranslateApiKey || undefined,
+        });
+    }
+
+    const response = await scheduledFetch(`${base}${path}`, options, { signal: settings.signal });
+    if (!response.ok) {
+        const errorBody = await response.text();
+        throw new Error(`LibreTranslate API error (${response.status}): ${errorBody}`);
+    }
+
+    const jsonResponse = await response.json();
+    if (jsonResponse.error) {
+        throw new Error(jsonResponse.error);
+    }
+    return jsonResponse;
+}
+
+/**
+ * List the language codes a LibreTranslate instance supports.
+ * Endpoint: GET /languages — Response: [{ code, name, targets }]
+ */
+async function libreLanguageCodes(settings) {
+    const base = settings.libreTranslateUrl;
+    if (!libreLanguageLists.has(base)) {
+        // Shared by every caller, so not tied to one request's cancellation
+        const request = libreTranslateRequest("/languages", null, { ...settings, signal: undefined })
+            .then((languages) => languages.map((lang) => lang.code))
+            .catch((err) => {
+                libreLanguageLists.delete(base);
+                throw err;
+            });
+        libreLanguageLists.set(base, request);
+    }
+    return libreLanguageLists.get(base);
+}
+
+async function toLibreLocale(locale, settings) {
+    if (!locale) return "auto";
+    const alias = LIBRETRANSLATE_ALIASES[locale];
+    if (!alias) return locale;
+    const codes = await libreLanguageCodes(settings);
+    return codes.includes(alias) ? alias : locale;
+}
+
+function fromLibreLocale(code) {
+    const match = Object.entries(LIBRETRANSLATE_ALIASES).find(([, alias]) => alias === code);
+    return match ? match[0] : code;
+}
+
+/**
+ * Endpoint: POST /translate
+ * Body: { q, source, target, format: "text" | "html" } — `q` may be an array
+ * Response: { translatedText } — an array when `q` was an array
+ */
+async function libreTranslate(content, format, sourceLocale, targetLocale, settings) {
+    const jsonResponse = await libreTranslateRequest("/translate", {
+        q: content,
+        source: await toLibreLocale(sourceLocale, settings),
+        target: await toLibreLocale(targetLocale, settings),
+        format,
+    }, settings);
+    return jsonResponse.translatedText ?? "";
+}
+
+// ── Translation Providers ──
+// Each provider exposes the same interface so message handlers don't care
+// which engine is selected in settings (SRS FR18):
+//   validate(settings)                                  → throws if unconfigured
+//   translateText(text, source, target, settings)       → string
+//   translateHtml(html, source, target, settings)       → string
+//   translateSegments(segments, source, target, settings) → { key: string }
+//   detectLanguage(text, settings)                      → locale code
+//   supportedLocales(settings)                          → locale codes
+
+const TRANSLATION_PROVIDERS = {
+    lingo: {
+        id: "lingo",
+        name: "Lingo.dev",
+        validate(settings) {
+            if (!settings.apiKey) {
+                throw new Error("No API key configured. Please set your Lingo.dev API key in the extension settings.");
+            }
+        },
+        translateText: (text, source, target, settings) =>
+            translateText(text, source, target, settings.apiKey, settings.signal),
+        translateHtml: (html, source, target, settings) =>
+            translateHtml(html, source, target, settings.apiKey, settings.signal),
+        translateSegments: (segments, source, target, settings) =>
+            localizeData(segments, source, target, settings.apiKey, settings.signal),
+        detectLanguage: (text, settings) => detectLanguage(text, settings.apiKey, settings.signal),
+        supportedLocales: async () => Object.keys(LANGUAGE_NAMES),
+    },
+
+    libretranslate: {
+        id: "libretranslate",
+        name: "LibreTranslate",
+        validate(settings) {
+            if (!settings.libreTranslateUrl) {
+                throw new Error("No LibreTranslate server configured. Please set its URL in the extension settings.");
+            }
+        },
+        translateText: (text, source, target, settings) =>
+            libreTranslate(text, "text", source, target, settings),
+        translateHtml: (html, source, target, settings) =>
+            libreTranslate(html, "html", source, target, settings),
+        async translateSegments(segments, source, target, settings) {
+            const keys = Object.keys(segments);
+            const translated = await libreTranslate(
+                keys.map((key) => segments[key]), "text", source, target, settings
+            );
+            return Object.fromEntries(keys.map((key, i) => [key, translated[i]]));
+        },
+        /**
+         * Endpoint: POST /detect
+         * Body: { q } — Response: [{ language, confidence }]
+         */
+        async detectLanguage(text, settings) {
+            const detections = await libreTranslateRequest("/detect", { q: text }, settings);
+            return detections?.[0]?.language ? fromLibreLocale(detections[0].language) : "unknown";
+        },
+        async supportedLocales(settings) {
+            const codes = await libreLanguageCodes(settings);
+            return codes.map(fromLibreLocale);
+        },
+    },
+
+    gemini: {
+        id: "gemini",
+        name: "Gemini",
+        validate(settings) {
+            if (!settings.geminiApiKey) {
+                throw new Error("No Gemini API key configured. Please set your Gemini API key in the extension settings.");
+            }
+        },
+        translateText(text, source, target, settings) {
+            const from = source ? ` from ${LANGUAGE_NAMES[source] || source}` : "";
+            const prompt = `Translate the following text${from} to ${LANGUAGE_NAMES[target] || target}. Preserve line breaks and copy placeholders such as ⟦LM0⟧ unchanged. Return only the translation, with no commentary.
+
+Text:
+${text}`;
+            return generateGeminiContent(prompt, settings.geminiApiKey, {
+                temperature: 0.2,
+                maxOutputTokens: 8192,
+            }, settings.signal);
+        },
+        translateHtml(html, source, target, settings) {
+            const from = source ? ` from ${LANGUAGE_NAMES[source] || source}` : "";
+            const prompt = `Translate the human-readable text in the following HTML${from} to ${LANGUAGE_NAMES[target] || target}. Keep every tag, attribute and placeholder such as ⟦LM0⟧ exactly as it is. Return only the translated HTML, with no commentary or code fences.
+
+HTML:
+${html}`;
+            return generateGeminiContent(prompt, settings.geminiApiKey, {
+                temperature: 0.2,
+                maxOutputTokens: 8192,
+            }, settings.signal);
+        },
+        async translateSegments(segments, source, target, settings) {
+            const from = source ? ` from ${LANGUAGE_NAMES[source] || source}` : "";
+            const prompt = `Translate every value of the following JSON object${from} to ${LANGUAGE_NAMES[target] || target}. Keep the keys and placeholders such as ⟦LM0⟧ unchanged and return only the JSON object.
+
+${JSON.stringify(segments)}`;
+            const answer = await generateGeminiContent(prompt, settings.geminiApiKey, {
+                temperature: 0.2,
+                maxOutputTokens: 8192,
+                responseMimeType: "application/json",
+            }, settings.signal);
+            try {
+                return JSON.parse(answer);
+            } catch {
+                throw new Error("Gemini returned an invalid translation response");
+            }
+        },
+        async detectLanguage(text, settings) {
+            const prompt = `Identify the language of the following text. Respond with only its ISO 639-1 code (for example "en" or "ja").
+
+Text:
+${text}`;
+            const answer = await generateGeminiContent(prompt, settings.geminiApiKey, {
+                temperature: 0,
+                maxOutputTokens: 256,
+            }, settings.signal);
+            const code = answer.trim().toLowerCase().match(/[a-z]{2}/);
+            return code ? code[0] : "unknown";
+        },
+        supportedLocales: async () => Object.keys(LANGUAGE_NAMES),
+    },
+};
+
+function getProvider(settings) {
+    const provider = TRANSLATION_PROVIDERS[settings.translationProvider] || TRANSLATION_PROVIDERS.lingo;
+    provider.validate(settings);
+    return provider;
+}
+
+async function assertLocaleSupported(provider, settings, locale) {
+    if (!locale) return;
+    const locales = await provider.supportedLocales(settings);
+    if (!locales.includes(locale)) {
+        throw new Error(`${provider.name} does not support ${LANGUAGE_NAMES[locale] || locale}.`);
+    }
+}
+
 // ── Message Listener ──
 
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === "cancelRequest") {
+        cancelRequest(sender, request.requestId);
+        sendResponse({ ok: true });
+        return false;
+    }
+
+    // Messages with a requestId can be cancelled by the content script
+    // while they wait in the request queue
+    if (request.requestId) {
+        const { signal, release } = trackRequest(sender, request.requestId);
+        request.signal = signal;
+        const respond = sendResponse;
+        sendResponse = (response) => {
+            release();
+            respond(response);
+        };
+    }
+
     if (request.action === "translate") {
         handleTranslate(request).then(sendResponse).catch((err) => {
             sendResponse({ error: err.message });
@@ -222,6 +1492,20 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         return true;
     }
 
+    if (request.action === "translateSegments") {
+        handleTranslateSegments(request).then(sendResponse).catch((err) => {
+            sendResponse({ error: err.message });
+        });
+        return true;
+    }
+
+    if (request.action === "translateInboxRows") {
+        handleTranslateInboxRows(request).then(sendResponse).catch((err) => {
+            sendResponse({ error: err.message });
+        });
+        return true;
+    }
+
     if (request.action === "detectLanguage") {
         handleDetectLanguage(request).then(sendResponse).catch((err) => {
             sendResponse({ error: err.message });
@@ -236,8 +1520,130 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         return true;
     }
 
-    if (request.action === "translatePdfText") {
-        handleTranslatePdfText(request).then(sendResponse).catch((err) => {
+    if (request.action === "getSummaryPrompts") {
+        sendResponse({ prompts: DEFAULT_SUMMARY_PROMPTS });
+        return false;
+    }
+
+    if (request.action === "summarizeThread") {
+        handleSummarizeThread(request).then(sendResponse).catch((err) => {
+            sendResponse({ error: err.message });
+        });
+        return true;
+    }
+
+    if (request.action === "extractEvents") {
+        handleExtractEvents(request).then(sendResponse).catch((err) => {
+            sendResponse({ error: err.message });
+        });
+        return true;
+    }
+
+    if (request.action === "suggestReplies") {
+        handleSuggestReplies(request).then(sendResponse).catch((err) => {
+            sendResponse({ error: err.message });
+        });
+        return true;
+    }
+
+    if (request.action === "adaptTone") {
+        handleAdaptTone(request).then(sendResponse).catch((err) => {
+            sendResponse({ error: err.message });
+        });
+        return true;
+    }
+
+    if (request.action === "getSupportedLocales") {
+        handleGetSupportedLocales().then(sendResponse).catch((err) => {
+            sendResponse({ error: err.message });
+        });
+        return true;
+    }
+
+    if (request.action === "getThreadLanguage") {
+        getThreadLanguage(request.threadId).then((threadLanguage) => sendResponse({ threadLanguage }));
+        return true;
+    }
+
+    if (request.action === "setThreadLanguage") {
+        setThreadLanguage(request.threadId, request.locale, request.manual)
+            .then((threadLanguage) => sendResponse({ threadLanguage }))
+            .catch((err) => sendResponse({ error: err.message }));
+        return true;
+    }
+
+    if (request.action === "getSendGuard") {
+        getSendGuard(request.threadId).then((enabled) => sendResponse({ enabled }));
+        return true;
+    }
+
+    if (request.action === "setSendGuard") {
+        setSendGuard(request.threadId, request.enabled).then(() => sendResponse({ ok: true }));
+        return true;
+    }
+
+    if (request.action === "getGlossary") {
+        getGlossary()
+            .then((glossary) => sendResponse({ glossary }))
+            .catch((err) => sendResponse({ error: err.message }));
+        return true;
+    }
+
+    if (request.action === "setGlossary") {
+        setGlossary(request.glossary)
+            .then((glossary) => sendResponse({ glossary }))
+            .catch((err) => sendResponse({ error: err.message }));
+        return true;
+    }
+
+    if (request.action === "getContactLanguages") {
+        getContactLanguages(request.emails).then((contactLanguages) => sendResponse({ contactLanguages }));
+        return true;
+    }
+
+    if (request.action === "recordContactLanguage") {
+        recordContactLanguage(request.email, request.locale, request.messageId).then(() => sendResponse({ ok: true }));
+        return true;
+    }
+
+    if (request.action === "setContactLanguage") {
+        setContactLanguage(request.email, request.locale)
+            .then(() => sendResponse({ ok: true }))
+            .catch((err) => sendResponse({ error: err.message }));
+        return true;
+    }
+
+    if (request.action === "getUsage") {
+        getUsage()
+            .then(sendResponse)
+            .catch((err) => sendResponse({ error: err.message }));
+        return true;
+    }
+
+    if (request.action === "setUsageCaps") {
+        setUsageCaps(request.api, request.caps)
+            .then((caps) => sendResponse({ caps }))
+            .catch((err) => sendResponse({ error: err.message }));
+        return true;
+    }
+
+    // `api` picks another API's caps (e.g. "gemini" for summaries); the
+    // default is the translation provider
+    if (request.action === "getUsageStatus") {
+        getSettings()
+            .then((settings) => getBudgetStatus(request.api || settings.translationProvider))
+            .then((budgetExceeded) => sendResponse({ budgetExceeded }))
+            .catch((err) => sendResponse({ error: err.message }));
+        return true;
+    }
+
+    if (request.action === "getCacheStats") {
+        getCacheStats().then(sendResponse);
+        return true;
+    }
+
+    if (request.action === "clearCache") {
+        clearCache().then(sendResponse).catch((err) => {
             sendResponse({ error: err.message });
         });
         return true;
@@ -250,103 +1656,433 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 });
 
 async function handleTranslate(request) {
-    const settings = await getSettings();
-    if (!settings.apiKey) {
-        throw new Error("No API key configured. Please set your Lingo.dev API key in the extension settings.");
-    }
+    const settings = await getRequestSettings(request);
+    const provider = getProvider(settings);
     const targetLocale = request.targetLocale || settings.targetLanguage;
-    const result = await translateText(
+    await assertLocaleSupported(provider, settings, targetLocale);
+    const result = await cachedTranslateText(
+        provider,
         request.text,
         request.sourceLocale || null,
         targetLocale,
-        settings.apiKey
+        settings
     );
     return { translatedText: result, targetLocale };
 }
 
+async function cachedTranslateText(provider, text, sourceLocale, targetLocale, settings, counters = {}) {
+    const protector = await createTermProtector(sourceLocale, targetLocale);
+    const protectedText = protector.protect(text);
+    const key = await buildCacheKey("translate", [provider.id, sourceLocale, targetLocale], protectedText);
+    const result = await withCache(key, async () => {
+        const translated = await provider.translateText(protectedText, sourceLocale, targetLocale, settings);
+        recordUsage(provider.id, { characters: protectedText.length, ...counters });
+        return translated;
+    });
+    return protector.restore(result);
+}
+
 async function handleTranslateHtml(request) {
-    const settings = await getSettings();
-    if (!settings.apiKey) {
-        throw new Error("No API key configured. Please set your Lingo.dev API key in the extension settings.");
+    const settings = await getRequestSettings(request);
+    const provider = getProvider(settings);
+    const targetLocale = request.targetLocale || settings.targetLanguage;
+    const sourceLocale = request.sourceLocale || null;
+    await assertLocaleSupported(provider, settings, targetLocale);
+    const protector = await createTermProtector(sourceLocale, targetLocale);
+    const html = protector.protectHtml(request.html);
+    const key = await buildCacheKey(
+        "translateHtml",
+        [provider.id, request.messageId, sourceLocale, targetLocale],
+        html
+    );
+    const result = await withCache(key, async () => {
+        const translated = await provider.translateHtml(html, sourceLocale, targetLocale, settings);
+        recordUsage(provider.id, { characters: html.length });
+        return translated;
+    });
+    return { translatedHtml: protector.restore(result), targetLocale };
+}
+
+// Batch limits keep each segment request well inside provider payload limits
+const SEGMENT_BATCH_MAX_KEYS = 25;
+const SEGMENT_BATCH_MAX_CHARS = 2000;
+
+function batchSegments(segments) {
+    const batches = [];
+    let current = {};
+    let count = 0;
+    let chars = 0;
+
+    for (const [key, text] of Object.entries(segments)) {
+        if (count > 0 && (count >= SEGMENT_BATCH_MAX_KEYS || chars + text.length > SEGMENT_BATCH_MAX_CHARS)) {
+            batches.push(current);
+            current = {};
+            count = 0;
+            chars = 0;
+        }
+        current[key] = text;
+        count++;
+        chars += text.length;
     }
+    if (count > 0) batches.push(current);
+    return batches;
+}
+
+async function handleTranslateSegments(request) {
+    const settings = await getRequestSettings(request);
+    const provider = getProvider(settings);
     const targetLocale = request.targetLocale || settings.targetLanguage;
-    const result = await translateHtml(
-        request.html,
-        request.sourceLocale || null,
-        targetLocale,
-        settings.apiKey
+    const sourceLocale = request.sourceLocale || null;
+    await assertLocaleSupported(provider, settings, targetLocale);
+
+    const protector = await createTermProtector(sourceLocale, targetLocale);
+    const segments = {};
+    Object.entries(request.segments || {}).forEach(([id, text]) => {
+        segments[id] = protector.protect(text);
+    });
+
+    const key = await buildCacheKey(
+        "translateSegments",
+        [provider.id, request.messageId, sourceLocale, targetLocale],
+        JSON.stringify(segments)
     );
-    return { translatedHtml: result, targetLocale };
+    const translatedSegments = await withCache(key, async () => {
+        // Batches run side by side; the request scheduler bounds concurrency
+        const results = await Promise.all(batchSegments(segments).map(async (batch) => {
+            const translated = await provider.translateSegments(batch, sourceLocale, targetLocale, settings);
+            const characters = Object.values(batch).reduce((sum, text) => sum + text.length, 0);
+            recordUsage(provider.id, { characters });
+            return translated;
+        }));
+        return Object.assign({}, ...results);
+    });
+    const restored = {};
+    Object.entries(translatedSegments).forEach(([id, text]) => {
+        restored[id] = typeof text === "string" ? protector.restore(text) : text;
+    });
+    return { translatedSegments: restored, targetLocale };
+}
+
+/**
+ * Translate inbox rows ({ id: { subject, snippet } }). Rows in a language the
+ * user reads are skipped; the rest are translated in one segment request per
+ * source language. Each row is cached on its own text, so rows that come back
+ * in a differently formed batch after a scroll are not paid for again.
+ */
+async function handleTranslateInboxRows(request) {
+    const settings = await getRequestSettings(request);
+    const budgetExceeded = await getBudgetStatus(settings.translationProvider);
+    if (budgetExceeded) return { rows: {}, budgetExceeded };
+
+    const provider = getProvider(settings);
+    const targetLocale = settings.targetLanguage;
+    await assertLocaleSupported(provider, settings, targetLocale);
+
+    const detected = await Promise.all(Object.entries(request.rows || {}).map(async ([id, row]) => {
+        const subject = (row.subject || "").trim();
+        const snippet = (row.snippet || "").trim();
+        const source = await detectInboxRowLanguage(`${subject} ${snippet}`, settings);
+        return { id, subject, snippet, source };
+    }));
+
+    const readable = new Set([targetLocale, ...settings.readLanguages]);
+    const groups = new Map(); // source locale ("" when unknown) → rows
+    detected.forEach((row) => {
+        if (readable.has(row.source) || (!row.subject && !row.snippet)) return;
+        groups.set(row.source, [...(groups.get(row.source) || []), row]);
+    });
+
+    const translated = await Promise.all(Array.from(groups, ([source, rows]) =>
+        translateInboxGroup(provider, rows, source || null, targetLocale, settings)));
+    return { rows: Object.assign({}, ...translated), targetLocale };
+}
+
+// The offline detector decides when it is sure, the provider otherwise (its
+// answer is cached per text); rows nobody can place go out as "auto"
+async function detectInboxRowLanguage(text, settings) {
+    const local = detectLanguageOffline(text);
+    if (local.confidence >= LOCAL_DETECTION_MIN_CONFIDENCE) return local.locale;
+    try {
+        const { detectedLocale } = await handleDetectLanguage({ text, signal: settings.signal });
+        return detectedLocale && detectedLocale !== "unknown" ? detectedLocale : "";
+    } catch (err) {
+        return "";
+    }
+}
+
+async function translateInboxGroup(provider, rows, sourceLocale, targetLocale, settings) {
+    const protector = await createTermProtector(sourceLocale, targetLocale);
+    const results = {};
+    const misses = [];
+    await Promise.all(rows.map(async ({ id, subject, snippet }) => {
+        const texts = { subject: protector.protect(subject), snippet: protector.protect(snippet) };
+        const key = await buildCacheKey("inboxRow", [provider.id, sourceLocale, targetLocale], JSON.stringify(texts));
+        const cached = await cacheGet(key);
+        if (cached) {
+            results[id] = cached;
+        } else {
+            misses.push({ id, texts, key });
+        }
+    }));
+
+    if (misses.length > 0) {
+        const segments = {};
+        misses.forEach(({ id, texts }) => {
+            if (texts.subject) segments[`${id}_subject`] = texts.subject;
+            if (texts.snippet) segments[`${id}_snippet`] = texts.snippet;
+        });
+        const batches = await Promise.all(batchSegments(segments).map(async (batch) => {
+            const translatedBatch = await provider.translateSegments(batch, sourceLocale, targetLocale, settings);
+            const characters = Object.values(batch).reduce((sum, text) => sum + text.length, 0);
+            recordUsage(provider.id, { characters });
+            return translatedBatch;
+        }));
+        const translatedSegments = Object.assign({}, ...batches);
+        await Promise.all(misses.map(({ id, key }) => {
+            results[id] = {
+                subject: translatedSegments[`${id}_subject`] || "",
+                snippet: translatedSegments[`${id}_snippet`] || "",
+            };
+            return cacheSet(key, results[id]);
+        }));
+    }
+
+    const rowsById = {};
+    Object.entries(results).forEach(([id, { subject, snippet }]) => {
+        rowsById[id] = { locale: sourceLocale };
+        if (subject) rowsById[id].subject = protector.restore(subject);
+        if (snippet) rowsById[id].snippet = protector.restore(snippet);
+    });
+    return rowsById;
 }
 
 async function handleDetectLanguage(request) {
-    const settings = await getSettings();
-    if (!settings.apiKey) {
-        throw new Error("No API key configured. Please set your Lingo.dev API key in the extension settings.");
+    const local = detectLanguageOffline(request.text);
+    if (local.confidence >= LOCAL_DETECTION_MIN_CONFIDENCE) {
+        return { detectedLocale: local.locale, confidence: local.confidence, source: "local" };
+    }
+
+    // Low confidence (short or mixed text) — ask the provider, but keep the
+    // offline guess if the remote call fails
+    try {
+        const settings = await getRequestSettings(request);
+        const provider = getProvider(settings);
+        const key = await buildCacheKey("detect", [provider.id], request.text);
+        const result = await withCache(key, async () => {
+            const locale = await provider.detectLanguage(request.text, settings);
+            recordUsage(provider.id, { detections: 1 });
+            return locale;
+        });
+        return { detectedLocale: result, source: "remote" };
+    } catch (err) {
+        if (local.locale === "unknown") throw err;
+        return { detectedLocale: local.locale, confidence: local.confidence, source: "local" };
     }
-    const result = await detectLanguage(request.text, settings.apiKey);
-    return { detectedLocale: result };
 }
 
 async function handleSummarize(request) {
-    const settings = await getSettings();
+    const settings = await getRequestSettings(request);
     if (!settings.geminiApiKey) {
         throw new Error("No Gemini API key configured. Please set your Gemini API key in the extension settings.");
     }
-    const result = await summarizeText(request.text, settings.geminiApiKey, request.language);
+    const options = getSummaryOptions(settings, request);
+    const key = await summaryCacheKey(request, options);
+    const result = await withCache(key, async () => {
+        const summary = await summarizeText(request.text, options, settings.signal);
+        recordUsage("gemini", { summaries: 1 });
+        return summary;
+    });
     return { summary: result };
 }
 
-async function handleTranslatePdfText(request) {
+// ── Streaming Ports ──
+// Results that arrive piece by piece use a port named after their handler.
+// Handlers post { partial } messages as they go and end with a final
+// message; errors become { error }. Closing the port (the user closed the
+// email or cancelled) aborts the handler's requests.
+const PORT_HANDLERS = {
+    summarize: streamSummary,
+    translatePdf: streamPdfTranslation,
+};
+
+chrome.runtime.onConnect.addListener((port) => {
+    const handler = PORT_HANDLERS[port.name];
+    if (!handler) return;
+
+    const controller = new AbortController();
+    port.onDisconnect.addListener(() => controller.abort());
+    const post = (message) => {
+        if (!controller.signal.aborted) port.postMessage(message);
+    };
+    port.onMessage.addListener((request) => {
+        handler(request, controller.signal, post).catch((err) => {
+            post({ error: err.message });
+        });
+    });
+});
+
+// Partial summary text is posted as it arrives, then { summary }
+async function streamSummary(request, signal, post) {
     const settings = await getSettings();
-    if (!settings.apiKey) {
-        throw new Error("No API key configured. Please set your Lingo.dev API key in the extension settings.");
+    if (!settings.geminiApiKey) {
+        throw new Error("No Gemini API key configured. Please set your Gemini API key in the extension settings.");
     }
+
+    // Shares its cache entries with the one-shot "summarize" action
+    const options = getSummaryOptions(settings, request);
+    const key = await summaryCacheKey(request, options);
+    const cached = await cacheGet(key);
+    if (cached !== null) {
+        post({ summary: cached });
+        return;
+    }
+
+    const summary = await summarizeText(request.text, options, signal, (partial) => post({ partial }));
+    recordUsage("gemini", { summaries: 1 });
+    await cacheSet(key, summary);
+    post({ summary });
+}
+
+async function handleSummarizeThread(request) {
+    const settings = await getRequestSettings(request);
+    if (!settings.geminiApiKey) {
+        throw new Error("No Gemini API key configured. Please set your Gemini API key in the extension settings.");
+    }
+    const messages = request.messages || [];
+    if (messages.length === 0) {
+        throw new Error("No messages found in this conversation.");
+    }
+    const key = await buildCacheKey("summarizeThread", [request.threadId, request.language],
+        JSON.stringify([request.subject, messages]));
+    const result = await withCache(key, async () => {
+        const summary = await summarizeThread(request.subject, messages, settings.geminiApiKey,
+            request.language, settings.signal);
+        recordUsage("gemini", { summaries: 1 });
+        return summary;
+    });
+    return { summary: result };
+}
+
+async function handleExtractEvents(request) {
+    const settings = await getRequestSettings(request);
+    if (!settings.geminiApiKey) {
+        throw new Error("No Gemini API key configured. Please set your Gemini API key in the extension settings.");
+    }
+    const context = {
+        sentAt: request.sentAt || "",
+        timeZone: request.timeZone || "UTC",
+        now: new Date().toISOString(),
+    };
+    const key = await buildCacheKey("extractEvents",
+        [request.messageId, request.language, context.timeZone, context.sentAt], request.text);
+    const events = await withCache(key, () =>
+        extractEvents(request.text, context, settings.geminiApiKey, request.language, settings.signal)
+    );
+    return { events };
+}
+
+async function handleSuggestReplies(request) {
+    const settings = await getRequestSettings(request);
+    if (!settings.geminiApiKey) {
+        throw new Error("No Gemini API key configured. Please set your Gemini API key in the extension settings.");
+    }
+    const userLocale = request.userLocale || settings.targetLanguage;
+    const key = await buildCacheKey("suggestReplies", [request.messageId, request.replyLocale, userLocale], request.text);
+    const suggestions = await withCache(key, () =>
+        suggestReplies(request.text, request.replyLocale, userLocale, settings.geminiApiKey, settings.signal)
+    );
+    return { suggestions };
+}
+
+async function handleAdaptTone(request) {
+    const settings = await getRequestSettings(request);
+    if (!settings.geminiApiKey) {
+        throw new Error("No Gemini API key configured. Please set your Gemini API key in the extension settings.");
+    }
+    if (!TONE_INSTRUCTIONS[request.tone]) {
+        throw new Error(`Unknown tone: ${request.tone}`);
+    }
+    const key = await buildCacheKey("adaptTone", [request.locale, request.tone], JSON.stringify(request.segments));
+    const result = await withCache(key, () =>
+        adaptTone(request.segments, request.locale, request.tone, settings.geminiApiKey, settings.signal)
+    );
+    return { segments: result };
+}
+
+// ── Progressive PDF Translation ──
+// The content script sends the pages still to translate over a
+// "translatePdf" port. A few pages are translated at a time and each is
+// posted back as soon as it is done ({ partial: { index, translatedText } }),
+// then { targetLocale }. Chunks are cached, so resuming a cancelled document
+// only pays for the pages that never finished.
+
+const PDF_PAGE_CONCURRENCY = 3;
+const PDF_CHUNK_SIZE = 2000;
+
+async function streamPdfTranslation(request, signal, post) {
+    const settings = { ...(await getSettings()), signal };
+    const provider = getProvider(settings);
     const targetLocale = request.targetLocale || settings.targetLanguage;
-    const text = request.text || "";
-    if (!text.trim()) {
+    await assertLocaleSupported(provider, settings, targetLocale);
+
+    const pending = (request.pages || []).filter((page) => page.text?.trim());
+    if (pending.length === 0) {
         throw new Error("No text extracted from PDF.");
     }
 
-    // Split text into chunks of ~2000 chars at sentence boundaries
+    let failed = false;
+    const worker = async () => {
+        while (pending.length > 0 && !failed && !signal.aborted) {
+            const { index, text } = pending.shift();
+            try {
+                const translatedText = await translatePdfPage(provider, text, request.sourceLocale || null,
+                    targetLocale, settings);
+                post({ partial: { index, translatedText } });
+            } catch (err) {
+                failed = true;
+                throw err;
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: PDF_PAGE_CONCURRENCY }, worker));
+    post({ targetLocale });
+}
+
+// Pages are split into ~2000 character chunks at sentence boundaries
+async function translatePdfPage(provider, text, sourceLocale, targetLocale, settings) {
     const chunks = [];
-    const maxChunk = 2000;
     let remaining = text;
     while (remaining.length > 0) {
-        if (remaining.length <= maxChunk) {
+        if (remaining.length <= PDF_CHUNK_SIZE) {
             chunks.push(remaining);
             break;
         }
         // Find last sentence-ending punctuation within the chunk
-        let splitAt = maxChunk;
-        const slice = remaining.substring(0, maxChunk);
+        let splitAt = PDF_CHUNK_SIZE;
+        const slice = remaining.substring(0, PDF_CHUNK_SIZE);
         const lastPeriod = Math.max(
             slice.lastIndexOf(". "),
             slice.lastIndexOf(".\n"),
             slice.lastIndexOf("! "),
             slice.lastIndexOf("? ")
         );
-        if (lastPeriod > maxChunk * 0.3) {
+        if (lastPeriod > PDF_CHUNK_SIZE * 0.3) {
             splitAt = lastPeriod + 1;
         }
         chunks.push(remaining.substring(0, splitAt));
         remaining = remaining.substring(splitAt).trimStart();
     }
 
-    // Translate each chunk
-    const translatedChunks = [];
-    for (const chunk of chunks) {
-        const translated = await translateText(
-            chunk,
-            request.sourceLocale || null,
-            targetLocale,
-            settings.apiKey
-        );
-        translatedChunks.push(translated);
-    }
+    // Each chunk is cached on its own, so re-opening a PDF is free
+    const translatedChunks = await Promise.all(chunks.map((chunk) =>
+        cachedTranslateText(provider, chunk, sourceLocale, targetLocale, settings, { pdfChunks: 1 })
+    ));
+    return translatedChunks.join("\n");
+}
 
-    return {
-        translatedText: translatedChunks.join("\n"),
-        targetLocale,
-    };
+async function handleGetSupportedLocales() {
+    const settings = await getSettings();
+    const provider = getProvider(settings);
+    const locales = await provider.supportedLocales(settings);
+    return { provider: provider.id, locales };
 }
@@ -7,9 +7,23 @@
     // ── State ──
     const translatedEmails = new Map();
     const summarizedEmails = new Map();
+    const threadSummaries = new Map();
+    const extractedEvents = new Map();
+    const replySuggestions = new Map();
+    const messageLocales = new Map(); // messageId → source language used for it
     let observerActive = false;
     let currentReadAloudBtn = null; // Track active read-aloud button
-    let settings = { targetLanguage: "en", autoTranslate: true };
+    let settings = {
+        targetLanguage: "en",
+        autoTranslate: true,
+        replyMode: "replace",
+        sendGuard: false,
+        backTranslationCheck: false,
+        autoTranslateRules: [],
+        readLanguages: [],
+        inboxTranslation: "off",
+        summaryStyle: "bullets",
+    };
 
     // ── Initialization ──
     async function init() {
@@ -23,6 +37,13 @@
             settings = {
                 targetLanguage: response.targetLanguage || "en",
                 autoTranslate: response.autoTranslate !== false,
+                replyMode: response.replyMode || "replace",
+                sendGuard: response.sendGuard === true,
+                backTranslationCheck: response.backTranslationCheck === true,
+                autoTranslateRules: response.autoTranslateRules || [],
+                readLanguages: response.readLanguages || [],
+                inboxTranslation: response.inboxTranslation || "off",
+                summaryStyle: response.summaryStyle || "bullets",
             };
         }
         observeGmail();
@@ -34,6 +55,8 @@
         observerActive = true;
 
         const observer = new MutationObserver(debounce(() => {
+            cancelDetachedRequests();
+            processInboxRows();
             processEmailView();
             processComposeWindow();
             processAttachments();
@@ -51,10 +74,204 @@
         }, 2000);
     }
 
+    // ── Cancellable Requests ──
+    // Translation and summary requests are tied to the element that shows
+    // their result. When Gmail removes it (another email was opened), the
+    // background drops the request from its queue instead of spending quota.
+    const pendingRequests = new Map(); // requestId → owner element
+    let nextRequestId = 0;
+
+    function sendCancellableMessage(message, owner) {
+        const requestId = `${Date.now()}-${++nextRequestId}`;
+        pendingRequests.set(requestId, owner);
+        return chrome.runtime.sendMessage({ ...message, requestId })
+            .finally(() => pendingRequests.delete(requestId));
+    }
+
+    function cancelDetachedRequests() {
+        pendingRequests.forEach((owner, requestId) => {
+            if (owner.isConnected) return;
+            pendingRequests.delete(requestId);
+            chrome.runtime.sendMessage({ action: "cancelRequest", requestId });
+        });
+        cancelStreams((owner) => !owner.isConnected);
+    }
+
+    // Streamed results (summaries, PDF pages) arrive over a port named after
+    // the background handler; disconnecting it cancels them. Resolves with
+    // the final message, or { cancelled: true }.
+    const openStreams = new Map(); // port → { owner, finish }
+
+    function cancelStreams(matches) {
+        openStreams.forEach((stream, port) => {
+            if (!matches(stream.owner)) return;
+            stream.finish({ cancelled: true });
+            port.disconnect();
+        });
+    }
+
+    function openStream(name, message, owner, onPartial) {
+        const port = chrome.runtime.connect({ name });
+        return new Promise((resolve) => {
+            const finish = (result) => {
+                openStreams.delete(port);
+                resolve(result);
+            };
+            openStreams.set(port, { owner, finish });
+
+            port.onMessage.addListener((response) => {
+                if (response.partial) {
+                    onPartial(response.partial);
+                    return;
+                }
+                finish(response);
+                port.disconnect();
+            });
+            // The service worker went away mid-stream
+            port.onDisconnect.addListener(() => {
+                if (openStreams.has(port)) finish({ error: "The connection to Lingo-Mail was interrupted. Please try again." });
+            });
+            port.postMessage(message);
+        });
+    }
+
+    // ── Inbox Subject & Snippet Translation ──
+    // Thread list rows are translated only once they scroll into view, in
+    // batches, so a long inbox doesn't spend quota on rows nobody looks at.
+    // "inline" replaces the text and keeps the original in the tooltip;
+    // "hover" leaves the text and puts the translation in the tooltip.
+    const INBOX_ROW_SELECTOR = "tr.zA";
+    const INBOX_BATCH_SIZE = 20;
+    const visibleInboxRows = new Set();
+    let inboxObserver = null;
+
+    function processInboxRows() {
+        if (settings.inboxTranslation !== "inline" && settings.inboxTranslation !== "hover") return;
+
+        if (!inboxObserver) {
+            inboxObserver = new IntersectionObserver((entries) => {
+                entries.forEach((entry) => {
+                    if (!entry.isIntersecting) return;
+                    inboxObserver.unobserve(entry.target);
+                    visibleInboxRows.add(entry.target);
+                });
+                flushInboxRowsSoon();
+            }, { rootMargin: "200px 0px" });
+        }
+
+        // Gmail replaces the subject element when a row is re-rendered,
+        // so the marker lives on the subject rather than on the row
+        document.querySelectorAll(INBOX_ROW_SELECTOR).forEach((row) => {
+            const subject = row.querySelector("span.bog");
+            if (!subject || subject.dataset.lingoInbox) return;
+            subject.dataset.lingoInbox = "pending";
+            inboxObserver.observe(row);
+        });
+    }
+
+    const flushInboxRowsSoon = debounce(() => flushInboxRows(), 300);
+
+    async function flushInboxRows() {
+        const rows = Array.from(visibleInboxRows).slice(0, INBOX_BATCH_SIZE);
+        rows.forEach((row) => visibleInboxRows.delete(row));
+
+        const batch = [];
+        rows.forEach((row) => {
+            const subjectEl = getInboxTextElement(row.querySelector("span.bog"));
+            const snippetEl = row.querySelector("span.y2");
+            if (!row.isConnected || !subjectEl) return;
+            batch.push({
+                row,
+                subjectEl,
+                snippetEl,
+                subject: subjectEl.textContent.trim(),
+                snippet: snippetEl?.textContent.replace(/^\s*[-–]\s*/, "").trim() || "",
+            });
+        });
+
+        if (batch.length > 0) {
+            const payload = {};
+            batch.forEach(({ subject, snippet }, i) => {
+                payload[`r${i}`] = { subject, snippet };
+            });
+
+            try {
+                const result = await sendCancellableMessage({
+                    action: "translateInboxRows",
+                    rows: payload,
+                }, batch[0].row);
+                if (!result?.error) {
+                    batch.forEach((item, i) => applyInboxTranslation(item, result.rows?.[`r${i}`]));
+                }
+            } catch (err) {
+                // Inbox translation is best-effort; rows simply stay as they are
+            }
+        }
+
+        if (visibleInboxRows.size > 0) flushInboxRows();
+    }
+
+    // Unread subjects wrap their text in an extra bold element
+    function getInboxTextElement(subject) {
+        return subject?.querySelector(".bqe") || subject;
+    }
+
+    function applyInboxTranslation({ subjectEl, snippetEl, subject, snippet }, translation) {
+        const marker = subjectEl.closest("span.bog");
+        if (marker) marker.dataset.lingoInbox = "done";
+        if (!translation) return;
+
+        const from = translation.locale ? getLanguageName(translation.locale) : "Original";
+        const changed = (original, translated) =>
+            translated && translated.trim().toLowerCase() !== original.toLowerCase();
+
+        [[subjectEl, subject, translation.subject], [snippetEl, snippet, translation.snippet]]
+            .forEach(([el, original, translated]) => {
+                if (!el || !changed(original, translated)) return;
+                el.dataset.lingoOriginal = el.textContent;
+                el.dataset.lingoOriginalTitle = el.getAttribute("title") || "";
+                el.classList.add("lingo-inbox-translated");
+
+                if (settings.inboxTranslation === "inline") {
+                    // Keep the " - " Gmail puts in front of snippets
+                    const prefix = el.textContent.match(/^\s*[-–]?\s*/)[0];
+                    el.textContent = prefix + translated;
+                    el.title = `${from}: ${original}`;
+                } else {
+                    el.title = `${getLanguageName(settings.targetLanguage)}: ${translated}`;
+                }
+            });
+    }
+
+    function restoreInboxRows() {
+        visibleInboxRows.clear();
+        inboxObserver?.disconnect();
+        inboxObserver = null;
+
+        document.querySelectorAll(".lingo-inbox-translated").forEach((el) => {
+            el.textContent = el.dataset.lingoOriginal;
+            if (el.dataset.lingoOriginalTitle) {
+                el.title = el.dataset.lingoOriginalTitle;
+            } else {
+                el.removeAttribute("title");
+            }
+            delete el.dataset.lingoOriginal;
+            delete el.dataset.lingoOriginalTitle;
+            el.classList.remove("lingo-inbox-translated");
+        });
+        document.querySelectorAll("span.bog[data-lingo-inbox]").forEach((el) => {
+            delete el.dataset.lingoInbox;
+        });
+        processInboxRows();
+    }
+
     // ── Process Email View ──
     // Only translates the currently opened/expanded email to conserve API usage.
     // Collapsed emails in a Gmail thread have zero offsetHeight and are skipped.
     function processEmailView() {
+        removeStaleSubjectTranslation();
+        injectThreadSummaryButton();
+
         const emailBodies = document.querySelectorAll(
             'div.a3s.aiL, div[data-message-id] div.a3s'
         );
@@ -72,16 +289,23 @@
             emailBody.dataset.lingoProcessed = "true";
             emailBody.dataset.lingoMessageId = messageId;
 
-            if (settings.autoTranslate) {
-                translateEmailBody(emailBody, messageId);
-            } else {
+            if (emailBody.dataset.lingoSummaryExpanded) {
                 injectTranslateButton(emailBody, messageId);
+                return;
             }
+            applyEmailRules(emailBody, messageId);
         });
     }
 
     // ── Translate Email Body ──
-    async function translateEmailBody(emailBody, messageId) {
+    // Languages the user reads: the target language plus any they listed
+    function readsLanguage(locale) {
+        return locale === settings.targetLanguage || settings.readLanguages.includes(locale);
+    }
+
+    // `sourceLocaleOverride` comes from the language badge; otherwise a manual
+    // override remembered for the thread wins over detection.
+    async function translateEmailBody(emailBody, messageId, sourceLocaleOverride, force) {
         if (translatedEmails.has(messageId)) return;
 
         const originalHtml = emailBody.innerHTML;
@@ -92,52 +316,335 @@
         const loadingBar = createLoadingBar("Translating with Lingo-Mail...");
         emailBody.parentElement.insertBefore(loadingBar, emailBody.nextSibling);
 
+        // Split quoted history and signatures off a clone of the body; they are
+        // only translated on demand from the translation block
+        const translatedRoot = emailBody.cloneNode(true);
+        const quotedSections = detachQuotedSections(translatedRoot);
+        const mainText = translatedRoot.textContent.trim() || originalText;
+
         try {
-            const detectResult = await chrome.runtime.sendMessage({
-                action: "detectLanguage",
-                text: originalText.substring(0, 500),
-            });
+            const threadId = getThreadId();
+            let detectedLocale = sourceLocaleOverride || null;
+
+            if (!detectedLocale) {
+                const { threadLanguage } = await chrome.runtime.sendMessage({
+                    action: "getThreadLanguage",
+                    threadId,
+                }) || {};
+                if (threadLanguage?.manual) detectedLocale = threadLanguage.locale;
+            }
 
-            const detectedLocale = detectResult?.detectedLocale || "unknown";
+            if (!detectedLocale) {
+                const detectResult = await chrome.runtime.sendMessage({
+                    action: "detectLanguage",
+                    text: mainText.substring(0, 500),
+                });
+                detectedLocale = detectResult?.detectedLocale || "unknown";
+
+                // Only foreign mail from someone else describes the thread; the
+                // user's own replies would overwrite it with their language
+                if (detectedLocale !== "unknown" && isIncomingMessage(emailBody) && !readsLanguage(detectedLocale)) {
+                    chrome.runtime.sendMessage({
+                        action: "setThreadLanguage",
+                        threadId,
+                        locale: detectedLocale,
+                        manual: false,
+                    });
+                }
+                if (detectedLocale !== "unknown" && isIncomingMessage(emailBody)) {
+                    chrome.runtime.sendMessage({
+                        action: "recordContactLanguage",
+                        email: getSenderEmail(emailBody),
+                        locale: detectedLocale,
+                        messageId,
+                    });
+                }
+            }
 
-            if (detectedLocale === settings.targetLanguage) {
+            if (detectedLocale !== "unknown") messageLocales.set(messageId, detectedLocale);
+
+            if (readsLanguage(detectedLocale) && !force) {
                 loadingBar.remove();
-                injectLanguageBadge(emailBody, detectedLocale, false);
+                injectLanguageBadge(emailBody, messageId, detectedLocale, false);
                 // Still inject summarize button even if already in target language
                 injectSummarizeButton(emailBody, messageId);
+                injectSuggestRepliesButton(emailBody, messageId);
+                // Readable, but not the target language: translating stays one click away
+                if (detectedLocale !== settings.targetLanguage) {
+                    injectTranslateButton(emailBody, messageId, null, true);
+                }
                 return;
             }
 
-            const translateResult = await chrome.runtime.sendMessage({
-                action: "translateHtml",
-                html: originalHtml,
+            // Translate the clone so the original DOM (links, images, styles)
+            // is rebuilt with translated text instead of round-tripping markup
+            const { segments, nodes } = extractSegments(translatedRoot);
+
+            // The conversation subject rides along with the first translated message
+            const subjectText = needsSubjectTranslation() ? getSubjectHeading().textContent.trim() : "";
+            if (subjectText) {
+                segments.subject = subjectText;
+                claimSubjectTranslation(messageId);
+            }
+
+            const translateResult = await sendCancellableMessage({
+                action: "translateSegments",
+                segments,
+                messageId,
                 sourceLocale: detectedLocale !== "unknown" ? detectedLocale : null,
                 targetLocale: settings.targetLanguage,
-            });
+            }, emailBody);
 
             if (translateResult?.error) {
                 loadingBar.remove();
+                releaseSubjectTranslation(messageId);
                 showError(emailBody, translateResult.error);
                 return;
             }
 
+            applySegments(nodes, translateResult.translatedSegments);
+            const translatedSubject = translateResult.translatedSegments?.subject;
+            if (subjectText && translatedSubject && translatedSubject.trim().toLowerCase() !== subjectText.toLowerCase()) {
+                injectSubjectTranslation(messageId, translatedSubject.trim(), detectedLocale);
+            }
+
             translatedEmails.set(messageId, {
                 originalHtml,
-                translatedHtml: translateResult.translatedHtml,
+                translatedHtml: translatedRoot.innerHTML,
+                quotedSections,
                 detectedLocale,
                 targetLocale: translateResult.targetLocale,
                 showingTranslation: true,
             });
 
             loadingBar.remove();
+            injectLanguageBadge(emailBody, messageId, detectedLocale, true);
             injectTranslation(emailBody, messageId);
+            injectSuggestRepliesButton(emailBody, messageId);
 
         } catch (err) {
             loadingBar.remove();
+            releaseSubjectTranslation(messageId);
             showError(emailBody, err.message);
         }
     }
 
+    // ── Text Segments ──
+    // Only the text of an email goes to the translation API: each non-empty
+    // text node becomes a keyed segment, and the translations are written back
+    // into the same nodes so markup and attributes never leave the page.
+    const SKIPPED_SEGMENT_TAGS = "script, style, noscript, code";
+
+    function extractSegments(root, skipNode) {
+        const segments = {};
+        const nodes = [];
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode(node) {
+                if (!node.nodeValue.trim()) return NodeFilter.FILTER_REJECT;
+                if (skipNode && skipNode(node)) return NodeFilter.FILTER_REJECT;
+                if (node.parentElement?.closest(SKIPPED_SEGMENT_TAGS)) return NodeFilter.FILTER_REJECT;
+                // Skip segments with nothing to translate (numbers, punctuation)
+                if (!/\p{L}/u.test(node.nodeValue)) return NodeFilter.FILTER_REJECT;
+                return NodeFilter.FILTER_ACCEPT;
+            },
+        });
+
+        while (walker.nextNode()) {
+            segments[`s${nodes.length}`] = walker.currentNode.nodeValue.trim();
+            nodes.push(walker.currentNode);
+        }
+        return { segments, nodes };
+    }
+
+    function applySegments(nodes, translatedSegments) {
+        nodes.forEach((node, i) => {
+            const translated = translatedSegments?.[`s${i}`];
+            if (typeof translated !== "string" || !translated.trim()) return;
+            // Keep the surrounding whitespace that separated inline elements
+            const leading = node.nodeValue.match(/^\s*/)[0];
+            const trailing = node.nodeValue.match(/\s*$/)[0];
+            node.nodeValue = leading + translated.trim() + trailing;
+        });
+    }
+
+    // ── Quoted History & Signatures ──
+    // Replies carry the previous thread and the sender's signature. Both are
+    // detached from the main translation and shown collapsed instead.
+    const QUOTED_SECTION_SELECTORS = [
+        { selector: ".gmail_quote, blockquote, div.im, #divRplyFwdMsg", kind: "quote" },
+        { selector: ".gmail_signature, [data-smartmail='gmail_signature']", kind: "signature" },
+    ];
+
+    // "On <date>, <sender> wrote:" lines from other mail clients
+    const QUOTE_ATTRIBUTION_PATTERNS = [
+        /^On .+ wrote:$/i,                          // English
+        /^El .+ escribió:$/i,                       // Spanish
+        /^Le .+ a écrit ?:$/i,                      // French
+        /^Am .+ schrieb .+:$/i,                     // German
+        /^Il .+ ha scritto:$/i,                     // Italian
+        /^(Em|No dia) .+ escreveu:$/i,              // Portuguese
+        /^Op .+ schreef .+:$/i,                     // Dutch
+        /^Den .+ skrev .+:$/i,                      // Swedish / Danish / Norwegian
+        /^W dniu .+ napisał(a)?:$/i,                // Polish
+        /^.+ (пишет|написала?|написав):$/i,          // Russian / Ukrainian
+        /^.+ yazdı:$/i,                             // Turkish
+        /^.+(写道|寫道)[:：]$/,                      // Chinese
+        /^.+(が書きました|は書きました)[:：]$/,      // Japanese
+        /^.+작성[:：]$/,                             // Korean
+        /^-{2,} ?(Original Message|Ursprüngliche Nachricht|Message d'origine|Mensaje original|Messaggio originale) ?-{2,}$/i,
+    ];
+
+    // RFC 3676 signature delimiter ("-- " on its own line)
+    const SIGNATURE_DELIMITER = /^--$/;
+
+    function isQuoteAttribution(text) {
+        const line = text.replace(/\s+/g, " ").trim();
+        return line.length <= 300 && QUOTE_ATTRIBUTION_PATTERNS.some((pattern) => pattern.test(line));
+    }
+
+    /**
+     * Locate quoted history and signatures in `root` without modifying it.
+     * Returns { elements: [{ kind, element }], boundary } where `boundary`
+     * ({ kind, node }) starts a trailing section that has no element of its own.
+     */
+    function findQuotedSections(root) {
+        const found = [];
+        for (const { selector, kind } of QUOTED_SECTION_SELECTORS) {
+            root.querySelectorAll(selector).forEach((element) => found.push({ kind, element }));
+        }
+
+        // Nested matches are carried along with their outer section
+        const elements = found
+            .filter((section) => !found.some((other) =>
+                other !== section && other.element.contains(section.element)))
+            .sort((a, b) =>
+                a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+
+        return { elements, boundary: findQuoteBoundary(root, elements) };
+    }
+
+    function isInQuotedSection(node, quoted) {
+        if (quoted.elements.some(({ element }) => element.contains(node))) return true;
+        const start = quoted.boundary?.node;
+        return !!start && (start.contains(node) ||
+            !!(start.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_FOLLOWING));
+    }
+
+    /**
+     * Remove quoted history and signatures from `root` (a detached clone) and
+     * return them as [{ kind, element }] in document order.
+     */
+    function detachQuotedSections(root) {
+        const { elements, boundary } = findQuotedSections(root);
+        const sections = elements.map((section) => {
+            section.element.remove();
+            return section;
+        });
+
+        // Anything from an attribution line or signature delimiter onwards
+        if (boundary) {
+            const range = document.createRange();
+            range.setStartBefore(boundary.node);
+            range.setEnd(root, root.childNodes.length);
+            const element = document.createElement("div");
+            element.appendChild(range.extractContents());
+            sections.push({ kind: boundary.kind, element });
+        }
+
+        return sections;
+    }
+
+    function findQuoteBoundary(root, skippedSections) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            const line = node.nodeValue.trim();
+            if (!line) continue;
+            if (skippedSections.some(({ element }) => element.contains(node))) continue;
+
+            if (SIGNATURE_DELIMITER.test(line)) return { node, kind: "signature" };
+            if (isQuoteAttribution(line)) return { node, kind: "quote" };
+
+            // Attribution split over several nodes (e.g. a linked address)
+            const block = node.parentElement.closest("div, p");
+            if (block && block !== root && isQuoteAttribution(block.textContent)) {
+                return { node: block, kind: "quote" };
+            }
+        }
+        return null;
+    }
+
+    function createQuotedSections(messageId, quotedSections) {
+        const container = document.createElement("div");
+        container.className = "lingo-quoted-sections";
+
+        quotedSections.forEach((section, index) => {
+            const details = document.createElement("details");
+            details.className = "lingo-quoted-section";
+
+            const summary = document.createElement("summary");
+            const label = document.createElement("span");
+            label.textContent = section.kind === "signature" ? "Signature" : "Quoted text";
+
+            const translateBtn = document.createElement("button");
+            translateBtn.className = "lingo-quoted-translate-btn";
+            translateBtn.textContent = section.kind === "signature"
+                ? "🌐 Translate signature"
+                : "🌐 Translate quoted text";
+            translateBtn.addEventListener("click", (e) => {
+                // Don't let the click toggle the <details>
+                e.preventDefault();
+                details.open = true;
+                translateQuotedSection(`${messageId}:${section.kind}${index}`, content, translateBtn);
+            });
+
+            summary.appendChild(label);
+            summary.appendChild(translateBtn);
+
+            const content = document.createElement("div");
+            content.className = "lingo-quoted-content";
+            content.appendChild(section.element);
+
+            details.appendChild(summary);
+            details.appendChild(content);
+            container.appendChild(details);
+        });
+
+        return container;
+    }
+
+    async function translateQuotedSection(sectionId, content, btn) {
+        const { segments, nodes } = extractSegments(content);
+        if (nodes.length === 0) return;
+
+        const originalLabel = btn.textContent;
+        btn.disabled = true;
+        btn.textContent = "⏳ Translating...";
+
+        try {
+            // Quoted text may be in another language than the reply itself
+            const result = await sendCancellableMessage({
+                action: "translateSegments",
+                segments,
+                messageId: sectionId,
+                sourceLocale: null,
+                targetLocale: settings.targetLanguage,
+            }, btn);
+
+            if (result?.error) throw new Error(result.error);
+
+            applySegments(nodes, result.translatedSegments);
+            btn.textContent = "✅ Translated";
+        } catch (err) {
+            btn.textContent = "❌ Failed";
+            btn.title = err.message;
+            setTimeout(() => {
+                btn.textContent = originalLabel;
+                btn.disabled = false;
+            }, 3000);
+        }
+    }
+
     // ── Inject Translation Block ──
     function injectTranslation(emailBody, messageId) {
         const data = translatedEmails.get(messageId);
@@ -173,8 +680,9 @@
         const summarizeBtn = document.createElement("button");
         summarizeBtn.className = "lingo-summarize-btn";
         summarizeBtn.innerHTML = "✨ Summarize";
+        const styleSelect = createSummaryStyleSelect(emailBody, messageId, summarizeBtn);
         summarizeBtn.addEventListener("click", () => {
-            handleSummarize(emailBody, messageId, summarizeBtn);
+            handleSummarize(emailBody, messageId, summarizeBtn, styleSelect);
         });
 
         // Read Aloud button in the header
@@ -185,8 +693,18 @@
             handleReadAloud(emailBody, messageId, readAloudBtn);
         });
 
+        // Calendar events button in the header
+        const eventsBtn = document.createElement("button");
+        eventsBtn.className = "lingo-events-btn";
+        eventsBtn.innerHTML = "📅 Events";
+        eventsBtn.addEventListener("click", () => {
+            handleExtractEvents(emailBody, messageId, eventsBtn);
+        });
+
         btnGroup.appendChild(toggleBtn);
         btnGroup.appendChild(summarizeBtn);
+        btnGroup.appendChild(styleSelect);
+        btnGroup.appendChild(eventsBtn);
         btnGroup.appendChild(readAloudBtn);
 
         header.appendChild(langInfo);
@@ -199,10 +717,72 @@
         block.appendChild(header);
         block.appendChild(translatedContent);
 
+        if (data.quotedSections?.length) {
+            block.appendChild(createQuotedSections(messageId, data.quotedSections));
+        }
+
         emailBody.style.display = "none";
         emailBody.parentElement.insertBefore(block, emailBody.nextSibling);
     }
 
+    // ── Conversation Subject ──
+    // Shown as a subtitle under Gmail's subject heading. It belongs to the
+    // message it was translated with and follows that message's toggle.
+    function getSubjectHeading() {
+        return document.querySelector("h2.hP");
+    }
+
+    function getSubjectTranslation() {
+        const subtitle = document.querySelector(".lingo-subject-translation");
+        return subtitle?.dataset.threadId === (getThreadId() || "") ? subtitle : null;
+    }
+
+    let subjectOwner = null; // { threadId, messageId } of the message carrying the subject
+
+    function needsSubjectTranslation() {
+        const heading = getSubjectHeading();
+        return !!heading?.textContent.trim() && !getSubjectTranslation() &&
+            subjectOwner?.threadId !== (getThreadId() || "");
+    }
+
+    // Messages translated at the same time would each carry the subject;
+    // the first one claims it for the thread
+    function claimSubjectTranslation(messageId) {
+        subjectOwner = { threadId: getThreadId() || "", messageId };
+    }
+
+    function releaseSubjectTranslation(messageId) {
+        if (subjectOwner?.messageId === messageId) subjectOwner = null;
+    }
+
+    // Gmail keeps the heading when another thread opens, and our subtitle with it
+    function removeStaleSubjectTranslation() {
+        document.querySelectorAll(".lingo-subject-translation").forEach((el) => {
+            if (el.dataset.threadId !== (getThreadId() || "")) el.remove();
+        });
+    }
+
+    function injectSubjectTranslation(messageId, translatedSubject, detectedLocale) {
+        const heading = getSubjectHeading();
+        if (!heading) return;
+        document.querySelectorAll(".lingo-subject-translation").forEach((el) => el.remove());
+
+        const subtitle = document.createElement("div");
+        subtitle.className = "lingo-subject-translation";
+        subtitle.dataset.messageId = messageId;
+        subtitle.dataset.threadId = getThreadId() || "";
+        subtitle.title = `Subject translated from ${getLanguageName(detectedLocale)}`;
+        subtitle.innerHTML = `<span class="lingo-icon">🌐</span><span>${escapeHtml(translatedSubject)}</span>`;
+        heading.insertAdjacentElement("afterend", subtitle);
+    }
+
+    // The subject as the reader sees it, for summaries and read-aloud
+    function getDisplayedSubject() {
+        const subtitle = getSubjectTranslation();
+        if (subtitle && subtitle.style.display !== "none") return subtitle.lastElementChild.textContent.trim();
+        return getSubjectHeading()?.textContent.trim() || "";
+    }
+
     // ── Toggle Original / Translated ──
     function toggleTranslation(emailBody, messageId, toggleBtn) {
         const data = translatedEmails.get(messageId);
@@ -211,49 +791,238 @@
         const block = emailBody.parentElement.querySelector('.lingo-translation-block');
         if (!block) return;
 
+        const quotedSections = block.querySelector('.lingo-quoted-sections');
+        const subtitle = getSubjectTranslation();
+        if (subtitle?.dataset.messageId === messageId) {
+            subtitle.style.display = data.showingTranslation ? "none" : "";
+        }
+
         if (data.showingTranslation) {
             emailBody.style.display = "";
             block.querySelector('.lingo-translated-content').style.display = "none";
+            if (quotedSections) quotedSections.style.display = "none";
             toggleBtn.textContent = "Show Translation";
             data.showingTranslation = false;
         } else {
             emailBody.style.display = "none";
             block.querySelector('.lingo-translated-content').style.display = "";
+            if (quotedSections) quotedSections.style.display = "";
             toggleBtn.textContent = "Show Original";
             data.showingTranslation = true;
         }
     }
 
-    // ── Manual Translate Button (when auto-translate is off) ──
-    function injectTranslateButton(emailBody, messageId) {
-        // Find or create action row
+    // ── Action Row (shared by translate, summarize and PDF buttons) ──
+    function getActionRow(emailBody) {
         let actionRow = emailBody.parentElement.querySelector('.lingo-action-row');
         if (!actionRow) {
             actionRow = document.createElement("div");
             actionRow.className = "lingo-action-row";
             emailBody.parentElement.insertBefore(actionRow, emailBody);
         }
+        return actionRow;
+    }
 
+    // ── Auto-Translate Rules ──
+    // Ordered rules from the settings page; the first enabled rule whose
+    // condition matches an opened email decides what happens to it. With no
+    // match, the auto-translate toggle decides as before.
+    async function applyEmailRules(emailBody, messageId) {
+        const action = await decideEmailAction(emailBody);
+        if (action === "never") return;
+
+        if (action === "manual" || (action !== "translate" && !settings.autoTranslate)) {
+            injectTranslateButton(emailBody, messageId);
+        } else {
+            await autoTranslateWithinBudget(emailBody, messageId);
+        }
+
+        if (action === "summarize") await autoSummarizeWithinBudget(emailBody, messageId);
+    }
+
+    async function decideEmailAction(emailBody) {
+        const rules = (settings.autoTranslateRules || []).filter((rule) => rule.enabled !== false);
+        if (rules.length === 0) return "default";
+
+        const sender = (getSenderEmail(emailBody) || "").toLowerCase();
+        const mainRoot = emailBody.cloneNode(true);
+        detachQuotedSections(mainRoot);
+        const mainText = mainRoot.textContent.trim();
+        const context = {
+            sender,
+            domain: sender.split("@")[1] || "",
+            labels: getThreadLabels(),
+            length: mainText.length,
+            language: null,
+        };
+
+        for (const rule of rules) {
+            // Only detect the language when a rule actually asks for it
+            if (rule.field === "language" && context.language === null) {
+                const result = await chrome.runtime.sendMessage({
+                    action: "detectLanguage",
+                    text: mainText.substring(0, 500),
+                });
+                context.language = result?.detectedLocale || "unknown";
+            }
+            if (matchesRule(rule, context)) return rule.action;
+        }
+        return "default";
+    }
+
+    function matchesRule(rule, context) {
+        const value = (rule.value || "").trim().toLowerCase();
+        if (!value) return false;
+
+        switch (rule.field) {
+            case "sender": {
+                // "*" matches any run of characters, e.g. "news@*" or "*@mailchimp.com"
+                const pattern = value.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+                return new RegExp(`^${pattern}$`).test(context.sender);
+            }
+            case "domain":
+                return context.domain === value || context.domain.endsWith(`.${value}`);
+            case "label":
+                return context.labels.includes(value);
+            case "language":
+                return context.language === value;
+            case "longerThan":
+                return context.length > Number(value);
+            case "shorterThan":
+                return context.length < Number(value);
+            default:
+                return false;
+        }
+    }
+
+    // Labels shown on the open conversation, plus the label being browsed
+    function getThreadLabels() {
+        const labels = Array.from(document.querySelectorAll('.ha .hN, .ahR .hN'))
+            .map((el) => el.textContent.trim().toLowerCase());
+        const browsing = location.hash.match(/^#label\/([^/]+)/);
+        if (browsing) labels.push(decodeURIComponent(browsing[1]).replace(/\+/g, " ").toLowerCase());
+        return labels.filter(Boolean);
+    }
+
+    // ── Usage Budget ──
+    // Once the translation API's daily or monthly cap is reached, emails and
+    // PDF attachments keep their manual Translate button instead of being
+    // translated automatically; Gemini's cap does the same for auto-summaries.
+    async function getBudgetExceeded(api) {
+        const { budgetExceeded } = await chrome.runtime.sendMessage({ action: "getUsageStatus", api }) || {};
+        return budgetExceeded || null;
+    }
+
+    async function autoTranslateWithinBudget(emailBody, messageId) {
+        const budgetExceeded = await getBudgetExceeded();
+        if (budgetExceeded) {
+            injectTranslateButton(emailBody, messageId, `${budgetExceeded}. Auto-translate is paused.`);
+            return;
+        }
+        await translateEmailBody(emailBody, messageId);
+    }
+
+    async function autoTranslatePdfWithinBudget(card, filename, btn) {
+        const budgetExceeded = await getBudgetExceeded();
+        if (budgetExceeded) {
+            btn.title = `${btn.title}. ${budgetExceeded}. Auto-translate is paused.`;
+            return;
+        }
+        await handlePdfTranslate(card, filename, btn);
+    }
+
+    async function autoSummarizeWithinBudget(emailBody, messageId) {
+        const parent = emailBody.parentElement;
+        if (!parent.querySelector('.lingo-summarize-btn, .lingo-summarize-standalone')) {
+            injectSummarizeButton(emailBody, messageId);
+        }
+        const btn = parent.querySelector('.lingo-summarize-btn, .lingo-summarize-standalone');
+
+        const budgetExceeded = await getBudgetExceeded("gemini");
+        if (budgetExceeded) {
+            btn.title = `${budgetExceeded}. Auto-summarize is paused.`;
+            return;
+        }
+        handleSummarize(emailBody, messageId, btn, btn.nextElementSibling);
+    }
+
+    // ── Manual Translate Button (when auto-translate is off) ──
+    function injectTranslateButton(emailBody, messageId, reason, force) {
+        const actionRow = getActionRow(emailBody);
         if (actionRow.querySelector('.lingo-manual-btn')) return;
 
         const btn = document.createElement("button");
         btn.className = "lingo-manual-btn";
         btn.innerHTML = '🌐 Translate Email';
+        if (reason) btn.title = reason;
         btn.addEventListener("click", () => {
             btn.remove();
             // If row is empty after button removal, should we remove it? 
             // Better to leave if PDF buttons might be there.
             if (actionRow.children.length === 0) actionRow.remove();
-            translateEmailBody(emailBody, messageId);
+            translateEmailBody(emailBody, messageId, null, force);
         });
 
         actionRow.appendChild(btn);
     }
 
+    // ── Standalone Summarize Button (email already in the target language) ──
+    function injectSummarizeButton(emailBody, messageId) {
+        const actionRow = getActionRow(emailBody);
+        if (actionRow.querySelector('.lingo-summarize-standalone')) return;
+
+        const btn = document.createElement("button");
+        btn.className = "lingo-summarize-standalone";
+        btn.innerHTML = "✨ Summarize";
+        const styleSelect = createSummaryStyleSelect(emailBody, messageId, btn);
+        btn.addEventListener("click", () => {
+            handleSummarize(emailBody, messageId, btn, styleSelect);
+        });
+
+        const eventsBtn = document.createElement("button");
+        eventsBtn.className = "lingo-events-standalone";
+        eventsBtn.innerHTML = "📅 Events";
+        eventsBtn.addEventListener("click", () => {
+            handleExtractEvents(emailBody, messageId, eventsBtn);
+        });
+
+        actionRow.appendChild(btn);
+        actionRow.appendChild(styleSelect);
+        actionRow.appendChild(eventsBtn);
+    }
+
+    // ── Summary Style ──
+    // Picked per email next to the summarize button; the settings page sets
+    // the default. Picking another style summarizes again in that style.
+    const SUMMARY_STYLES = [
+        ["tldr", "TL;DR"],
+        ["bullets", "Bullets"],
+        ["detailed", "Detailed"],
+        ["actions", "Action items"],
+    ];
+
+    function createSummaryStyleSelect(emailBody, messageId, btn) {
+        const select = document.createElement("select");
+        select.className = "lingo-summary-style-select";
+        select.title = "Summary style";
+        SUMMARY_STYLES.forEach(([value, label]) => {
+            const opt = document.createElement("option");
+            opt.value = value;
+            opt.textContent = label;
+            select.appendChild(opt);
+        });
+        select.value = settings.summaryStyle;
 
+        select.addEventListener("change", () => {
+            summarizedEmails.delete(messageId);
+            emailBody.parentElement.querySelector('.lingo-summary-block')?.remove();
+            handleSummarize(emailBody, messageId, btn, select);
+        });
+        return select;
+    }
 
     // ── Handle Summarize Click ──
-    async function handleSummarize(emailBody, messageId, btn) {
+    async function handleSummarize(emailBody, messageId, btn, styleSelect) {
         // Check if already summarized
         if (summarizedEmails.has(messageId)) {
             const existing = emailBody.parentElement.querySelector('.lingo-summary-block');
@@ -265,22 +1034,30 @@
 
         // Prefer translated text over original for summarization
         const translatedEl = emailBody.parentElement.querySelector('.lingo-translated-content');
-        const textToSummarize = translatedEl?.innerText?.trim() || emailBody.innerText?.trim() || "";
+        const bodyText = translatedEl?.innerText?.trim() || emailBody.innerText?.trim() || "";
 
-        if (!textToSummarize || textToSummarize.length < 10) return;
+        if (!bodyText || bodyText.length < 10) return;
+        const subject = getDisplayedSubject();
+        const textToSummarize = subject ? `Subject: ${subject}\n\n${bodyText}` : bodyText;
 
         btn.disabled = true;
+        if (styleSelect) styleSelect.disabled = true;
         const originalLabel = btn.innerHTML;
         btn.innerHTML = '⏳ Summarizing...';
 
         try {
-            const result = await chrome.runtime.sendMessage({
-                action: "summarize",
+            const result = await openStream("summarize", {
                 text: textToSummarize.substring(0, 3000), // Limit to avoid token overflow
+                messageId,
                 language: settings.targetLanguage || "en",
+                style: styleSelect?.value || settings.summaryStyle,
+            }, emailBody, (partial) => {
+                injectSummaryBlock(emailBody, messageId, partial, true);
             });
 
-            if (result?.error) {
+            if (result.cancelled) return;
+            if (result.error) {
+                emailBody.parentElement.querySelector('.lingo-summary-block')?.remove();
                 btn.innerHTML = '❌ Error';
                 setTimeout(() => { btn.innerHTML = originalLabel; btn.disabled = false; }, 3000);
                 showError(emailBody, result.error);
@@ -298,16 +1075,27 @@
             btn.disabled = false;
             setTimeout(() => { btn.innerHTML = originalLabel; }, 3000);
             showError(emailBody, err.message);
+        } finally {
+            if (styleSelect) styleSelect.disabled = false;
         }
     }
 
     // ── Inject Summary Block ──
-    function injectSummaryBlock(emailBody, messageId, summary) {
+    // Called for every chunk while a summary streams in: the block is built
+    // once and its text replaced in place, with a caret until it is complete.
+    function injectSummaryBlock(emailBody, messageId, summary, streaming = false) {
         const existing = emailBody.parentElement.querySelector('.lingo-summary-block');
+        if (existing?.dataset.messageId === messageId) {
+            existing.querySelector('.lingo-summary-content').textContent = summary;
+            existing.classList.toggle("streaming", streaming);
+            return;
+        }
         if (existing) existing.remove();
 
         const block = document.createElement("div");
         block.className = "lingo-summary-block";
+        block.dataset.messageId = messageId;
+        block.classList.toggle("streaming", streaming);
 
         const header = document.createElement("div");
         header.className = "lingo-summary-header";
@@ -342,6 +1130,570 @@
         }
     }
 
+    // ── Thread Summary ──
+    // Summarizes the whole conversation into an overview, decisions, open
+    // questions and action items. Collapsed and hidden older messages are
+    // expanded first; each message contributes its body without quoted history.
+    const THREAD_MESSAGE_LIMIT = 4000;
+    const THREAD_TEXT_LIMIT = 30000;
+    const THREAD_EXPAND_TIMEOUT_MS = 5000;
+    const OLDER_MESSAGES_SELECTOR = 'div.kQ';
+
+    function injectThreadSummaryButton() {
+        const heading = getSubjectHeading();
+        const threadId = getThreadId() || "";
+        const existing = document.querySelector('.lingo-thread-summary-btn');
+        if (!heading || existing?.dataset.threadId === threadId) return;
+        existing?.remove();
+        document.querySelector('.lingo-thread-summary')?.remove();
+
+        const btn = document.createElement("button");
+        btn.className = "lingo-thread-summary-btn";
+        btn.dataset.threadId = threadId;
+        btn.innerHTML = "🧵 Summarize Thread";
+        btn.addEventListener("click", () => {
+            handleSummarizeThread(heading, threadId, btn);
+        });
+        heading.parentElement.appendChild(btn);
+    }
+
+    // Gmail only renders the bodies of expanded messages: open the "N older
+    // messages" stack and every collapsed message, and wait for their bodies.
+    // Any still missing at the timeout fall back to Gmail's preview snippet.
+    // Bodies opened here are marked so they get the manual Translate button
+    // rather than being auto-translated just because the thread was summarized.
+    function expandThreadMessages() {
+        const rendered = new Set(document.querySelectorAll('div.a3s'));
+        const markExpanded = () => {
+            document.querySelectorAll('div.a3s').forEach((body) => {
+                if (!rendered.has(body)) body.dataset.lingoSummaryExpanded = "true";
+            });
+        };
+        const clicked = new WeakSet();
+        const clickOnce = (el) => {
+            if (clicked.has(el)) return;
+            clicked.add(el);
+            ["mousedown", "mouseup", "click"].forEach((type) => {
+                el.dispatchEvent(new MouseEvent(type, { bubbles: true, cancelable: true, view: window }));
+            });
+        };
+
+        return new Promise((resolve) => {
+            const started = Date.now();
+            const poll = () => {
+                markExpanded();
+                const stacks = Array.from(document.querySelectorAll(OLDER_MESSAGES_SELECTOR));
+                const collapsed = Array.from(document.querySelectorAll('.kv'))
+                    .filter((root) => !root.querySelector('div.a3s'));
+                if (stacks.length + collapsed.length === 0 || Date.now() - started >= THREAD_EXPAND_TIMEOUT_MS) {
+                    resolve();
+                    return;
+                }
+                stacks.forEach(clickOnce);
+                collapsed.forEach(clickOnce);
+                setTimeout(poll, 200);
+            };
+            poll();
+        });
+    }
+
+    function collectThreadMessages() {
+        const messages = [];
+        document.querySelectorAll('.gs, .kv').forEach((root) => {
+            const body = root.querySelector('div.a3s');
+            let text;
+            if (body) {
+                const clone = body.cloneNode(true);
+                detachQuotedSections(clone);
+                text = clone.innerText || clone.textContent;
+            } else {
+                text = root.querySelector('.iA.g6, span.y2')?.innerText;
+            }
+            text = (text || "").replace(/\n{3,}/g, "\n\n").trim();
+            if (!text) return;
+
+            const sender = root.querySelector('span.gD');
+            const name = sender?.getAttribute('name') || sender?.textContent.trim();
+            const email = sender?.getAttribute('email');
+            const date = root.querySelector('span.g3');
+            messages.push({
+                from: name && email && name !== email ? `${name} <${email}>` : name || email || "Unknown sender",
+                date: date?.getAttribute('title') || date?.textContent.trim() || "",
+                text: text.substring(0, THREAD_MESSAGE_LIMIT),
+                preview: !body,
+            });
+        });
+
+        // Long threads keep their most recent messages
+        let total = messages.reduce((sum, message) => sum + message.text.length, 0);
+        while (messages.length > 1 && total > THREAD_TEXT_LIMIT) {
+            total -= messages.shift().text.length;
+        }
+        return messages;
+    }
+
+    async function handleSummarizeThread(heading, threadId, btn) {
+        const existing = document.querySelector('.lingo-thread-summary');
+        if (existing && threadSummaries.has(threadId)) {
+            existing.style.display = existing.style.display === "none" ? "" : "none";
+            return;
+        }
+
+        btn.disabled = true;
+        const originalLabel = btn.innerHTML;
+        btn.innerHTML = '⏳ Opening messages...';
+        await expandThreadMessages();
+
+        const messages = collectThreadMessages();
+        if (messages.length === 0) {
+            btn.innerHTML = originalLabel;
+            btn.disabled = false;
+            return;
+        }
+        btn.innerHTML = '⏳ Summarizing...';
+
+        try {
+            const subject = heading.textContent.trim();
+            const result = await sendCancellableMessage({
+                action: "summarizeThread",
+                threadId,
+                subject,
+                messages,
+                language: settings.targetLanguage || "en",
+            }, heading);
+
+            if (result?.error) {
+                btn.innerHTML = '❌ Error';
+                setTimeout(() => { btn.innerHTML = originalLabel; btn.disabled = false; }, 3000);
+                showError(heading, result.error);
+                return;
+            }
+
+            threadSummaries.set(threadId, result.summary);
+            injectThreadSummary(btn, subject, result.summary);
+
+            btn.innerHTML = originalLabel;
+            btn.disabled = false;
+
+        } catch (err) {
+            btn.innerHTML = '❌ Failed';
+            btn.disabled = false;
+            setTimeout(() => { btn.innerHTML = originalLabel; }, 3000);
+            showError(heading, err.message);
+        }
+    }
+
+    function injectThreadSummary(btn, subject, summary) {
+        document.querySelector('.lingo-thread-summary')?.remove();
+
+        const block = document.createElement("div");
+        block.className = "lingo-summary-block lingo-thread-summary";
+
+        const header = document.createElement("div");
+        header.className = "lingo-summary-header";
+
+        const title = document.createElement("span");
+        title.className = "lingo-summary-title";
+        title.innerHTML = '🧵 Thread Summary';
+
+        const btnGroup = document.createElement("div");
+        btnGroup.className = "lingo-btn-group";
+
+        const copyBtn = document.createElement("button");
+        copyBtn.className = "lingo-summary-copy";
+        copyBtn.textContent = "📋 Copy Markdown";
+        copyBtn.addEventListener("click", async () => {
+            try {
+                await navigator.clipboard.writeText(threadSummaryToMarkdown(subject, summary));
+                copyBtn.textContent = "✅ Copied";
+            } catch {
+                copyBtn.textContent = "❌ Copy failed";
+            }
+            setTimeout(() => { copyBtn.textContent = "📋 Copy Markdown"; }, 2000);
+        });
+
+        const closeBtn = document.createElement("button");
+        closeBtn.className = "lingo-summary-close";
+        closeBtn.textContent = "✕";
+        closeBtn.addEventListener("click", () => {
+            block.style.display = "none";
+        });
+
+        btnGroup.appendChild(copyBtn);
+        btnGroup.appendChild(closeBtn);
+        header.appendChild(title);
+        header.appendChild(btnGroup);
+
+        const content = document.createElement("div");
+        content.className = "lingo-thread-summary-content";
+        if (summary.overview) {
+            const overview = document.createElement("p");
+            overview.textContent = summary.overview;
+            content.appendChild(overview);
+        }
+        const sections = [
+            ["Decisions", summary.decisions],
+            ["Open Questions", summary.openQuestions],
+            ["Action Items", summary.actionItems.map(formatActionItem)],
+        ];
+        for (const [label, items] of sections) {
+            if (!items.length) continue;
+            const heading = document.createElement("h4");
+            heading.textContent = label;
+            const list = document.createElement("ul");
+            items.forEach((item) => {
+                const li = document.createElement("li");
+                li.textContent = item;
+                list.appendChild(li);
+            });
+            content.appendChild(heading);
+            content.appendChild(list);
+        }
+
+        block.appendChild(header);
+        block.appendChild(content);
+        btn.parentElement.after(block);
+    }
+
+    function formatActionItem(item) {
+        const details = [item.owner, item.due && `due ${item.due}`].filter(Boolean).join(", ");
+        return details ? `${item.task} (${details})` : item.task;
+    }
+
+    function threadSummaryToMarkdown(subject, summary) {
+        const lines = [`## ${subject || "Thread Summary"}`, ""];
+        if (summary.overview) lines.push(summary.overview, "");
+        const sections = [
+            ["Decisions", summary.decisions.map((item) => `- ${item}`)],
+            ["Open Questions", summary.openQuestions.map((item) => `- ${item}`)],
+            ["Action Items", summary.actionItems.map((item) => `- [ ] ${formatActionItem(item)}`)],
+        ];
+        for (const [label, items] of sections) {
+            if (items.length) lines.push(`### ${label}`, "", ...items, "");
+        }
+        return lines.join("\n").trim() + "\n";
+    }
+
+    // ── Calendar Events ──
+    // Meetings and deadlines are extracted from the original text, not the
+    // translation, so dates and times reach Gemini exactly as written.
+    async function handleExtractEvents(emailBody, messageId, btn) {
+        if (extractedEvents.has(messageId)) {
+            const existing = emailBody.parentElement.querySelector('.lingo-events-block');
+            if (existing) {
+                existing.style.display = existing.style.display === "none" ? "" : "none";
+                return;
+            }
+        }
+
+        const clone = emailBody.cloneNode(true);
+        detachQuotedSections(clone);
+        const text = (clone.innerText || clone.textContent || "").trim();
+        if (text.length < 10) return;
+
+        const messageRoot = emailBody.closest('.gs') || emailBody.closest('[data-message-id]');
+        const sentAt = messageRoot?.querySelector('span.g3')?.getAttribute('title') || "";
+
+        btn.disabled = true;
+        const originalLabel = btn.innerHTML;
+        btn.innerHTML = '⏳ Finding dates...';
+
+        try {
+            const result = await sendCancellableMessage({
+                action: "extractEvents",
+                text: text.substring(0, 8000),
+                messageId,
+                sentAt,
+                timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+                language: settings.targetLanguage || "en",
+            }, emailBody);
+
+            if (result?.error) {
+                btn.innerHTML = '❌ Error';
+                setTimeout(() => { btn.innerHTML = originalLabel; btn.disabled = false; }, 3000);
+                showError(emailBody, result.error);
+                return;
+            }
+
+            extractedEvents.set(messageId, result.events);
+            injectEventsBlock(emailBody, messageId, result.events);
+
+            btn.innerHTML = originalLabel;
+            btn.disabled = false;
+
+        } catch (err) {
+            btn.innerHTML = '❌ Failed';
+            btn.disabled = false;
+            setTimeout(() => { btn.innerHTML = originalLabel; }, 3000);
+            showError(emailBody, err.message);
+        }
+    }
+
+    function injectEventsBlock(emailBody, messageId, events) {
+        emailBody.parentElement.querySelector('.lingo-events-block')?.remove();
+
+        const block = document.createElement("div");
+        block.className = "lingo-events-block";
+
+        if (events.length === 0) {
+            block.innerHTML = '<div class="lingo-events-empty">📅 No meetings or deadlines found in this email.</div>';
+        }
+
+        events.forEach((event) => {
+            const card = document.createElement("div");
+            card.className = "lingo-event-card";
+
+            const info = document.createElement("div");
+            info.className = "lingo-event-info";
+            const details = [formatEventTime(event), event.location].filter(Boolean);
+            info.innerHTML = `
+                <span class="lingo-event-title">${event.kind === "deadline" ? "⏰" : "📅"} ${escapeHtml(event.title)}</span>
+                <span class="lingo-event-when">${escapeHtml(details.join(" · "))}</span>
+                ${event.notes ? `<span class="lingo-event-notes">${escapeHtml(event.notes)}</span>` : ""}
+            `;
+
+            const addBtn = document.createElement("button");
+            addBtn.className = "lingo-event-add-btn";
+            addBtn.textContent = "Add to calendar";
+            addBtn.addEventListener("click", () => {
+                downloadIcs(event, messageId);
+            });
+
+            card.appendChild(info);
+            card.appendChild(addBtn);
+            block.appendChild(card);
+        });
+
+        const anchor = emailBody.parentElement.querySelector('.lingo-summary-block') ||
+            emailBody.parentElement.querySelector('.lingo-translation-block') || emailBody;
+        anchor.after(block);
+    }
+
+    function formatEventTime(event) {
+        // All-day dates are calendar dates, so format them without shifting zones
+        const format = (value) => event.allDay
+            ? new Date(`${value}T00:00:00Z`).toLocaleDateString(undefined, { dateStyle: "medium", timeZone: "UTC" })
+            : new Date(value).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+        const start = format(event.start);
+        if (!event.end) return event.kind === "deadline" ? `Due ${start}` : start;
+        return `${start} – ${format(event.end)}`;
+    }
+
+    // ── iCalendar Export (RFC 5545) ──
+    function downloadIcs(event, messageId) {
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(new Blob([buildIcs(event, messageId)], { type: "text/calendar;charset=utf-8" }));
+        link.download = `${event.title.replace(/[\\/:*?"<>|]+/g, " ").trim().substring(0, 60) || "event"}.ics`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    function buildIcs(event, messageId) {
+        const utc = (value) => new Date(value).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+        const date = (value) => value.replace(/-/g, "");
+        const lines = [
+            "BEGIN:VCALENDAR",
+            "VERSION:2.0",
+            "PRODID:-//Lingo-Mail//Email Events//EN",
+            "CALSCALE:GREGORIAN",
+            "METHOD:PUBLISH",
+            "BEGIN:VEVENT",
+            `UID:${hashCode(`${messageId}|${event.title}|${event.start}`)}@lingo-mail`,
+            `DTSTAMP:${utc(Date.now())}`,
+        ];
+
+        if (event.allDay) {
+            // DTEND is exclusive for dates: the day after the last day
+            const last = new Date(`${event.end || event.start}T00:00:00Z`);
+            last.setUTCDate(last.getUTCDate() + 1);
+            lines.push(`DTSTART;VALUE=DATE:${date(event.start)}`);
+            lines.push(`DTEND;VALUE=DATE:${date(last.toISOString().substring(0, 10))}`);
+        } else {
+            // Meetings without an end get an hour; deadlines are a point in time
+            const fallbackEnd = event.kind === "deadline" ? event.start
+                : new Date(new Date(event.start).getTime() + 60 * 60 * 1000).toISOString();
+            lines.push(`DTSTART:${utc(event.start)}`);
+            lines.push(`DTEND:${utc(event.end || fallbackEnd)}`);
+        }
+
+        lines.push(`SUMMARY:${escapeIcsText(event.title)}`);
+        if (event.location) lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+        if (event.notes) lines.push(`DESCRIPTION:${escapeIcsText(event.notes)}`);
+        lines.push("END:VEVENT", "END:VCALENDAR");
+        return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+    }
+
+    function escapeIcsText(text) {
+        return text.replace(/[\\;,]/g, (ch) => `\\${ch}`).replace(/\r?\n/g, "\\n");
+    }
+
+    // Lines longer than 75 octets continue on the next line after a space
+    function foldIcsLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = "";
+        let size = 0;
+        for (const ch of line) {
+            const length = encoder.encode(ch).length;
+            if (size + length > (parts.length ? 74 : 75)) {
+                parts.push(current);
+                current = "";
+                size = 0;
+            }
+            current += ch;
+            size += length;
+        }
+        parts.push(current);
+        return parts.join("\r\n ");
+    }
+
+    // ── Smart Replies ──
+    // Three short replies in the thread's language, each shown with its
+    // translation; clicking one puts it at the top of the reply draft.
+    function injectSuggestRepliesButton(emailBody, messageId) {
+        const actionRow = getActionRow(emailBody);
+        if (actionRow.querySelector('.lingo-suggest-btn')) return;
+
+        const btn = document.createElement("button");
+        btn.className = "lingo-suggest-btn";
+        btn.innerHTML = "💬 Suggest Replies";
+        btn.addEventListener("click", () => {
+            handleSuggestReplies(emailBody, messageId, btn);
+        });
+
+        actionRow.appendChild(btn);
+    }
+
+    async function handleSuggestReplies(emailBody, messageId, btn) {
+        if (replySuggestions.has(messageId)) {
+            const existing = emailBody.parentElement.querySelector('.lingo-suggestions');
+            if (existing) {
+                existing.style.display = existing.style.display === "none" ? "" : "none";
+                return;
+            }
+        }
+
+        const clone = emailBody.cloneNode(true);
+        detachQuotedSections(clone);
+        const text = (clone.innerText || clone.textContent || "").trim();
+        if (text.length < 2) return;
+
+        btn.disabled = true;
+        const originalLabel = btn.innerHTML;
+        btn.innerHTML = '⏳ Thinking...';
+
+        try {
+            // Replies are written in the language of the message they answer
+            const replyLocale = await getMessageLocale(emailBody);
+            const result = await sendCancellableMessage({
+                action: "suggestReplies",
+                text: text.substring(0, 4000),
+                messageId,
+                replyLocale,
+                userLocale: settings.targetLanguage,
+            }, emailBody);
+
+            if (result?.error) {
+                btn.innerHTML = '❌ Error';
+                setTimeout(() => { btn.innerHTML = originalLabel; btn.disabled = false; }, 3000);
+                showError(emailBody, result.error);
+                return;
+            }
+
+            replySuggestions.set(messageId, result.suggestions);
+            injectReplySuggestions(emailBody, result.suggestions, replyLocale);
+
+            btn.innerHTML = originalLabel;
+            btn.disabled = false;
+
+        } catch (err) {
+            btn.innerHTML = '❌ Failed';
+            btn.disabled = false;
+            setTimeout(() => { btn.innerHTML = originalLabel; }, 3000);
+            showError(emailBody, err.message);
+        }
+    }
+
+    function injectReplySuggestions(emailBody, suggestions, replyLocale) {
+        emailBody.parentElement.querySelector('.lingo-suggestions')?.remove();
+
+        const block = document.createElement("div");
+        block.className = "lingo-suggestions";
+
+        if (suggestions.length === 0) {
+            block.innerHTML = '<div class="lingo-suggestions-empty">💬 No reply suggestions for this email.</div>';
+        }
+
+        suggestions.forEach(({ reply, translation }) => {
+            const chip = document.createElement("button");
+            chip.className = "lingo-suggestion";
+            chip.title = replyLocale
+                ? `Insert this ${getLanguageName(replyLocale)} reply into the draft`
+                : "Insert this reply into the draft";
+            chip.innerHTML = `
+                <span class="lingo-suggestion-reply">${escapeHtml(reply)}</span>
+                ${translation ? `<span class="lingo-suggestion-translation">${escapeHtml(translation)}</span>` : ""}
+            `;
+            chip.addEventListener("click", () => {
+                insertSuggestedReply(emailBody, reply);
+            });
+            block.appendChild(chip);
+        });
+
+        const actionRow = emailBody.parentElement.querySelector('.lingo-action-row');
+        (actionRow || emailBody).after(block);
+    }
+
+    // Uses the open reply draft, or opens one with Gmail's Reply button
+    async function insertSuggestedReply(emailBody, reply) {
+        let composeBody = findComposeBody();
+        if (!composeBody) {
+            const messageRoot = emailBody.closest('.gs') || emailBody.closest('[data-message-id]');
+            const replyBtn = messageRoot?.querySelector('[role="button"][aria-label="Reply"], [data-tooltip="Reply"]') ||
+                document.querySelector('span.ams.bkH');
+            if (!replyBtn) {
+                showError(emailBody, "Couldn't open a reply. Click Reply in Gmail and pick the suggestion again.");
+                return;
+            }
+            ["mousedown", "mouseup", "click"].forEach((type) => {
+                replyBtn.dispatchEvent(new MouseEvent(type, { bubbles: true, cancelable: true, view: window }));
+            });
+            composeBody = await waitForComposeBody(3000);
+            if (!composeBody) {
+                showError(emailBody, "The reply box didn't open in time. Try the suggestion again.");
+                return;
+            }
+        }
+
+        const html = `<div>${escapeHtml(reply).replace(/\n/g, "<br>")}</div>`;
+        // Gmail starts a reply with an empty line; the suggestion takes its place
+        const first = composeBody.firstElementChild;
+        if (first && !first.textContent.trim() && !first.querySelector('img')) first.remove();
+        composeBody.insertAdjacentHTML("afterbegin", html);
+        composeBody.dispatchEvent(new Event("input", { bubbles: true }));
+        composeBody.focus();
+    }
+
+    function findComposeBody() {
+        const bodies = document.querySelectorAll(COMPOSE_BODY_SELECTOR);
+        return bodies[bodies.length - 1] || null;
+    }
+
+    function waitForComposeBody(timeout) {
+        return new Promise((resolve) => {
+            const started = Date.now();
+            const poll = () => {
+                const composeBody = findComposeBody();
+                if (composeBody || Date.now() - started >= timeout) {
+                    resolve(composeBody);
+                    return;
+                }
+                setTimeout(poll, 100);
+            };
+            poll();
+        });
+    }
+
     // ── Handle Read Aloud Click ──
     function handleReadAloud(emailBody, messageId, btn) {
         // If already speaking, stop
@@ -352,10 +1704,13 @@
 
         // Get the translated text
         const translatedEl = emailBody.parentElement.querySelector('.lingo-translated-content');
-        const textToRead = translatedEl?.innerText?.trim() || emailBody.innerText?.trim() || "";
+        const bodyText = translatedEl?.innerText?.trim() || emailBody.innerText?.trim() || "";
 
-        if (!textToRead || textToRead.length < 5) return;
+        if (!bodyText || bodyText.length < 5) return;
 
+        // Read the subject first, as a sentence of its own
+        const subject = getDisplayedSubject();
+        const textToRead = subject ? `${subject}.\n\n${bodyText}` : bodyText;
         const utterance = new SpeechSynthesisUtterance(textToRead);
 
         // Set language for correct pronunciation
@@ -420,7 +1775,7 @@
 
             // Auto-translate if setting is on
             if (settings.autoTranslate && btn) {
-                handlePdfTranslate(card, filename, btn);
+                autoTranslatePdfWithinBudget(card, filename, btn);
             }
         });
     }
@@ -486,13 +1841,7 @@
         const emailBody = messageRoot.querySelector('div.a3s.aiL') || messageRoot.querySelector('div.a3s');
         if (!emailBody) return null;
 
-        // Find or create action row
-        let actionRow = emailBody.parentElement.querySelector('.lingo-action-row');
-        if (!actionRow) {
-            actionRow = document.createElement("div");
-            actionRow.className = "lingo-action-row";
-            emailBody.parentElement.insertBefore(actionRow, emailBody);
-        }
+        const actionRow = getActionRow(emailBody);
 
         const btn = document.createElement("button");
         btn.className = "lingo-pdf-btn";
@@ -510,9 +1859,13 @@
     }
 
     // ── Handle PDF Translate ──
+    // Pages are extracted one by one and translated a few at a time in the
+    // background, filling in the modal as they arrive. Closing the modal or
+    // cancelling keeps the finished pages; the button resumes from there.
+    const pdfDocuments = new Map(); // download URL → document (see loadPdfDocument)
+
     async function handlePdfTranslate(card, filename, btn) {
         btn.disabled = true;
-        btn.innerHTML = "⏳ Extracting text...";
 
         try {
             // Step 1: Get download URL
@@ -521,39 +1874,18 @@
                 throw new Error("Could not find PDF download URL. Try downloading the PDF first, then use the translate button.");
             }
 
-            // Step 2: Fetch the PDF
-            btn.innerHTML = "⏳ Downloading PDF...";
-            const response = await fetch(downloadUrl, { credentials: "include" });
-            if (!response.ok) {
-                throw new Error(`Failed to download PDF (${response.status})`);
-            }
-            const arrayBuffer = await response.arrayBuffer();
-
-            // Step 3: Extract text with pdf.js
-            btn.innerHTML = "⏳ Extracting text...";
-            const extractedText = await extractPdfText(arrayBuffer);
-
-            if (!extractedText || extractedText.trim().length < 5) {
-                throw new Error("Could not extract text from PDF. The PDF may contain only images or scanned content.");
-            }
-
-            // Step 4: Translate
-            btn.innerHTML = "⏳ Translating...";
-            const result = await chrome.runtime.sendMessage({
-                action: "translatePdfText",
-                text: extractedText.substring(0, 10000), // Limit to avoid excessive API usage
-                targetLocale: settings.targetLanguage,
-            });
-
-            if (result?.error) {
-                throw new Error(result.error);
+            // Step 2: Reuse the pages of an earlier run, or download and extract them
+            let doc = pdfDocuments.get(downloadUrl);
+            if (!doc || doc.targetLocale !== settings.targetLanguage) {
+                doc = await loadPdfDocument(downloadUrl, filename, btn);
+                pdfDocuments.set(downloadUrl, doc);
             }
+            doc.btn = btn;
 
-            // Step 5: Show modal
-            showPdfTranslationModal(extractedText, result.translatedText, filename, result.targetLocale);
-
-            btn.innerHTML = "📄 Translate PDF";
+            // Step 3: Show the modal and translate what is still missing
+            const overlay = showPdfTranslationModal(doc);
             btn.disabled = false;
+            await translatePdfDocument(doc, overlay);
 
         } catch (err) {
             btn.innerHTML = "❌ Failed";
@@ -572,33 +1904,142 @@
         }
     }
 
+    async function loadPdfDocument(downloadUrl, filename, btn) {
+        btn.innerHTML = "⏳ Downloading PDF...";
+        const response = await fetch(downloadUrl, { credentials: "include" });
+        if (!response.ok) {
+            throw new Error(`Failed to download PDF (${response.status})`);
+        }
+        const arrayBuffer = await response.arrayBuffer();
+
+        const pageTexts = await extractPdfPages(arrayBuffer, (pageNumber, total) => {
+            btn.innerHTML = `⏳ Extracting page ${pageNumber} of ${total}...`;
+        });
+        if (!pageTexts.some((text) => text.trim().length >= 5)) {
+            throw new Error("Could not extract text from PDF. The PDF may contain only images or scanned content.");
+        }
+
+        return {
+            key: downloadUrl,
+            filename,
+            btn,
+            targetLocale: settings.targetLanguage,
+            // `translated` stays null until the page is done; blank pages need nothing
+            pages: pageTexts.map((original) => ({ original, translated: original.trim() ? null : "" })),
+            translating: false,
+            run: null, // the open stream while translating
+            error: null,
+        };
+    }
+
+    async function translatePdfDocument(doc, overlay) {
+        // Reopening the modal cancels the run it showed; continue once that
+        // run has wound down instead of finding the document still busy
+        if (doc.run) await doc.run;
+
+        const pending = doc.pages
+            .map((page, index) => ({ index, text: page.original }))
+            .filter(({ index }) => doc.pages[index].translated === null);
+        if (pending.length === 0 || doc.translating) {
+            updatePdfProgress(doc);
+            return;
+        }
+
+        doc.translating = true;
+        doc.error = null;
+        updatePdfProgress(doc);
+
+        doc.run = openStream("translatePdf", {
+            pages: pending,
+            targetLocale: doc.targetLocale,
+        }, overlay, ({ index, translatedText }) => {
+            doc.pages[index].translated = translatedText;
+            updatePdfPage(doc, index);
+            updatePdfProgress(doc);
+        });
+        const result = await doc.run;
+
+        doc.run = null;
+        doc.translating = false;
+        if (result.error) doc.error = result.error;
+        updatePdfProgress(doc);
+    }
+
+    function countTranslatedPages(doc) {
+        return doc.pages.filter((page) => page.translated !== null).length;
+    }
+
+    // Progress in the modal and on the attachment's button
+    function updatePdfProgress(doc) {
+        const done = countTranslatedPages(doc);
+        const total = doc.pages.length;
+        const complete = done === total;
+
+        if (doc.translating) {
+            doc.btn.innerHTML = `⏳ Page ${Math.min(done + 1, total)} of ${total}`;
+        } else {
+            doc.btn.innerHTML = complete ? "📄 Translate PDF" : `▶ Resume PDF (${done}/${total})`;
+        }
+
+        const overlay = document.getElementById("lingoPdfModal");
+        if (overlay?.dataset.docKey !== doc.key) return;
+
+        let status;
+        if (complete) status = `All ${total} pages translated`;
+        else if (doc.translating) status = `Translating page ${Math.min(done + 1, total)} of ${total}...`;
+        else if (doc.error) status = `Stopped at ${done} of ${total} pages: ${doc.error}`;
+        else status = `Paused at ${done} of ${total} pages`;
+
+        overlay.querySelector(".lingo-pdf-progress-text").textContent = status;
+        overlay.querySelector(".lingo-pdf-progress-fill").style.width = `${Math.round((done / total) * 100)}%`;
+        overlay.querySelector(".lingo-pdf-progress").classList.toggle("error", !!doc.error && !doc.translating);
+
+        const pauseBtn = overlay.querySelector("#lingoPdfPauseBtn");
+        pauseBtn.hidden = complete;
+        pauseBtn.innerHTML = doc.translating ? "⏸ Cancel" : (doc.error ? "↻ Retry" : "▶ Resume");
+    }
+
+    function updatePdfPage(doc, index) {
+        const overlay = document.getElementById("lingoPdfModal");
+        if (overlay?.dataset.docKey !== doc.key) return;
+
+        const section = overlay.querySelector(`[data-panel="translated"] [data-page="${index}"]`);
+        const text = section.querySelector(".lingo-pdf-page-text");
+        text.textContent = doc.pages[index].translated;
+        section.classList.remove("pending");
+    }
+
     // ── Extract Text from PDF using pdf.js ──
-    async function extractPdfText(arrayBuffer) {
+    // One string per page, blank pages included, so page numbers line up
+    async function extractPdfPages(arrayBuffer, onPage) {
         const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-        const textParts = [];
+        const pages = [];
 
         for (let i = 1; i <= pdf.numPages; i++) {
+            onPage?.(i, pdf.numPages);
             const page = await pdf.getPage(i);
             const textContent = await page.getTextContent();
-            const pageText = textContent.items
+            pages.push(textContent.items
                 .map((item) => item.str)
-                .join(" ");
-            if (pageText.trim()) {
-                textParts.push(pageText);
-            }
+                .join(" "));
         }
 
-        return textParts.join("\n\n");
+        return pages;
     }
 
     // ── Show PDF Translation Modal ──
-    function showPdfTranslationModal(originalText, translatedText, filename, targetLocale) {
+    // Both tabs list the document page by page; untranslated pages show a
+    // placeholder until they arrive. Returns the overlay, which owns the
+    // translation stream.
+    function showPdfTranslationModal(doc) {
         // Remove any existing modal
         closePdfModal();
 
+        const total = doc.pages.length;
         const overlay = document.createElement("div");
         overlay.className = "lingo-pdf-modal-overlay";
         overlay.id = "lingoPdfModal";
+        overlay.dataset.docKey = doc.key;
 
         const modal = document.createElement("div");
         modal.className = "lingo-pdf-modal";
@@ -609,14 +2050,24 @@
         header.innerHTML = `
             <div class="lingo-pdf-modal-title">
                 <span class="lingo-icon">📄</span>
-                <span>${escapeHtml(filename)} — Translated to <strong>${getLanguageName(targetLocale)}</strong></span>
+                <span>${escapeHtml(doc.filename)} — Translated to <strong>${getLanguageName(doc.targetLocale)}</strong></span>
             </div>
             <div class="lingo-pdf-modal-actions">
+                <select class="lingo-pdf-page-select" id="lingoPdfPageSelect" title="Go to page"></select>
                 <button class="lingo-pdf-copy-btn" id="lingoPdfCopyBtn">📋 Copy Translation</button>
                 <button class="lingo-pdf-close-btn" id="lingoPdfCloseBtn">✕</button>
             </div>
         `;
 
+        // Progress
+        const progress = document.createElement("div");
+        progress.className = "lingo-pdf-progress";
+        progress.innerHTML = `
+            <div class="lingo-pdf-progress-bar"><div class="lingo-pdf-progress-fill"></div></div>
+            <span class="lingo-pdf-progress-text"></span>
+            <button class="lingo-pdf-pause-btn" id="lingoPdfPauseBtn"></button>
+        `;
+
         // Tab bar
         const tabBar = document.createElement("div");
         tabBar.className = "lingo-pdf-tab-bar";
@@ -629,20 +2080,43 @@
         const content = document.createElement("div");
         content.className = "lingo-pdf-modal-content";
 
-        const translatedPanel = document.createElement("div");
-        translatedPanel.className = "lingo-pdf-panel active";
-        translatedPanel.dataset.panel = "translated";
-        translatedPanel.textContent = translatedText;
+        const createPanel = (name, textOf) => {
+            const panel = document.createElement("div");
+            panel.className = "lingo-pdf-panel";
+            panel.dataset.panel = name;
+            doc.pages.forEach((page, index) => {
+                const section = document.createElement("section");
+                section.className = "lingo-pdf-page";
+                section.dataset.page = index;
+
+                const label = document.createElement("div");
+                label.className = "lingo-pdf-page-label";
+                label.textContent = `Page ${index + 1} of ${total}`;
+
+                const text = document.createElement("div");
+                text.className = "lingo-pdf-page-text";
+                const value = textOf(page);
+                if (value === null) {
+                    section.classList.add("pending");
+                    text.textContent = "⏳ Not translated yet";
+                } else {
+                    text.textContent = value.trim() ? value : "(no text on this page)";
+                }
 
-        const originalPanel = document.createElement("div");
-        originalPanel.className = "lingo-pdf-panel";
-        originalPanel.dataset.panel = "original";
-        originalPanel.textContent = originalText;
+                section.appendChild(label);
+                section.appendChild(text);
+                panel.appendChild(section);
+            });
+            return panel;
+        };
 
+        const translatedPanel = createPanel("translated", (page) => page.translated);
+        translatedPanel.classList.add("active");
         content.appendChild(translatedPanel);
-        content.appendChild(originalPanel);
+        content.appendChild(createPanel("original", (page) => page.original));
 
         modal.appendChild(header);
+        modal.appendChild(progress);
         modal.appendChild(tabBar);
         modal.appendChild(content);
         overlay.appendChild(modal);
@@ -655,6 +2129,10 @@
         });
 
         overlay.querySelector("#lingoPdfCopyBtn").addEventListener("click", () => {
+            const translatedText = doc.pages
+                .map((page) => page.translated)
+                .filter((text) => text?.trim())
+                .join("\n\n");
             navigator.clipboard.writeText(translatedText).then(() => {
                 const copyBtn = overlay.querySelector("#lingoPdfCopyBtn");
                 copyBtn.innerHTML = "✅ Copied!";
@@ -662,6 +2140,27 @@
             });
         });
 
+        overlay.querySelector("#lingoPdfPauseBtn").addEventListener("click", () => {
+            if (doc.translating) {
+                cancelStreams((owner) => owner === overlay);
+            } else {
+                translatePdfDocument(doc, overlay);
+            }
+        });
+
+        // Page jump: scroll the visible tab to that page
+        const pageSelect = overlay.querySelector("#lingoPdfPageSelect");
+        doc.pages.forEach((page, index) => {
+            const opt = document.createElement("option");
+            opt.value = index;
+            opt.textContent = `Page ${index + 1}`;
+            pageSelect.appendChild(opt);
+        });
+        pageSelect.addEventListener("change", () => {
+            content.querySelector(`.lingo-pdf-panel.active [data-page="${pageSelect.value}"]`)
+                ?.scrollIntoView({ block: "start" });
+        });
+
         // Tab switching
         tabBar.querySelectorAll(".lingo-pdf-tab").forEach((tab) => {
             tab.addEventListener("click", () => {
@@ -680,22 +2179,29 @@
             }
         };
         document.addEventListener("keydown", escHandler);
+
+        updatePdfProgress(doc);
+        return overlay;
     }
 
     // ── Close PDF Modal ──
+    // Closing stops the translation; the finished pages are kept for a resume
     function closePdfModal() {
         const existing = document.getElementById("lingoPdfModal");
-        if (existing) existing.remove();
+        if (!existing) return;
+        cancelStreams((owner) => owner === existing);
+        existing.remove();
     }
 
     // ── Process Compose Window (Reply Translation) ──
+    const COMPOSE_BODY_SELECTOR =
+        'div[role="dialog"] div[contenteditable="true"], ' +
+        'div.Am.Al.editable, ' +
+        'div[aria-label="Message Body"][contenteditable="true"], ' +
+        'div.editable[contenteditable="true"]';
+
     function processComposeWindow() {
-        const composeWindows = document.querySelectorAll(
-            'div[role="dialog"] div[contenteditable="true"], ' +
-            'div.Am.Al.editable, ' +
-            'div[aria-label="Message Body"][contenteditable="true"], ' +
-            'div.editable[contenteditable="true"]'
-        );
+        const composeWindows = document.querySelectorAll(COMPOSE_BODY_SELECTOR);
 
         composeWindows.forEach((composeBody) => {
             if (composeBody.dataset.lingoComposeProcessed) return;
@@ -705,10 +2211,14 @@
     }
 
     // ── Inject Reply Translate Button ──
-    function injectReplyTranslateButton(composeBody) {
-        const composeContainer = composeBody.closest('div[role="dialog"]') ||
+    function getComposeContainer(composeBody) {
+        return composeBody.closest('div[role="dialog"]') ||
             composeBody.closest('.iN') ||
             composeBody.closest('.M9');
+    }
+
+    function injectReplyTranslateButton(composeBody) {
+        const composeContainer = getComposeContainer(composeBody);
         if (!composeContainer) return;
 
         const sendBtnRow = composeContainer.querySelector('.btC') ||
@@ -743,17 +2253,79 @@
             langSelect.appendChild(opt);
         });
 
+        // Optional Gemini rewrite of the translation in a chosen tone
+        const toneSelect = document.createElement("select");
+        toneSelect.className = "lingo-reply-tone-select";
+        toneSelect.title = "Tone of the translated reply";
+        REPLY_TONES.forEach(([value, label]) => {
+            const opt = document.createElement("option");
+            opt.value = value;
+            opt.textContent = label;
+            toneSelect.appendChild(opt);
+        });
+
+        const langIndicator = document.createElement("span");
+        langIndicator.className = "lingo-reply-lang-indicator";
+        langIndicator.hidden = true;
+
+        // Follow the recipients until the user picks a language themselves
+        langSelect.addEventListener("change", () => {
+            langSelect.dataset.userChosen = "true";
+            langIndicator.hidden = true;
+        });
+        composeBody.addEventListener("focus", () => {
+            autoSelectRecipientLanguage(composeBody, langSelect, langIndicator);
+        });
+        autoSelectRecipientLanguage(composeBody, langSelect, langIndicator);
+
+        // Restores the draft as it was before the last translation
+        const undoBtn = document.createElement("button");
+        undoBtn.className = "lingo-reply-undo-btn";
+        undoBtn.textContent = "↩ Undo";
+        undoBtn.title = "Restore the draft from before translation";
+        undoBtn.hidden = true;
+        let draftBeforeTranslation = null;
+
+        // Translates the last translation back so the user can verify it
+        const checkBtn = document.createElement("button");
+        checkBtn.className = "lingo-reply-check-btn";
+        checkBtn.textContent = "🔁 Check";
+        checkBtn.title = "Translate the reply back and compare it with your draft";
+        checkBtn.hidden = true;
+        let lastTranslation = null;
+
+        checkBtn.addEventListener("click", () => {
+            if (lastTranslation) runBackTranslationCheck(composeBody, lastTranslation, checkBtn);
+        });
+
+        undoBtn.addEventListener("click", () => {
+            if (draftBeforeTranslation === null) return;
+            setComposeHtml(composeBody, draftBeforeTranslation);
+            draftBeforeTranslation = null;
+            lastTranslation = null;
+            delete composeBody.dataset.lingoTranslatedTo;
+            undoBtn.hidden = true;
+            checkBtn.hidden = true;
+            removeBackTranslationPanel(composeBody);
+        });
+
         btn.addEventListener("click", async () => {
-            const text = composeBody.innerText.trim();
-            if (!text) return;
+            const originalHtml = composeBody.innerHTML;
+
+            // Translate only what the user wrote, on a copy of the draft;
+            // the quoted thread and signature keep their original text
+            const draft = composeBody.cloneNode(true);
+            const quoted = findQuotedSections(draft);
+            const { segments, nodes } = extractSegments(draft, (node) => isInQuotedSection(node, quoted));
+            if (nodes.length === 0) return;
 
             btn.disabled = true;
             btn.innerHTML = '⏳ Translating...';
 
             try {
                 const result = await chrome.runtime.sendMessage({
-                    action: "translate",
-                    text: text,
+                    action: "translateSegments",
+                    segments,
                     sourceLocale: null,
                     targetLocale: langSelect.value,
                 });
@@ -764,11 +2336,37 @@
                     return;
                 }
 
-                composeBody.innerText = result.translatedText;
+                let translatedSegments = result.translatedSegments || {};
+                if (toneSelect.value) {
+                    btn.innerHTML = '⏳ Adjusting tone...';
+                    translatedSegments = await previewToneRewrite(translatedSegments, langSelect.value, toneSelect.value);
+                    if (!translatedSegments) {
+                        btn.innerHTML = '🌐 Translate Reply';
+                        btn.disabled = false;
+                        return;
+                    }
+                }
+
+                applySegments(nodes, translatedSegments);
+                draftBeforeTranslation = originalHtml;
+                setComposeHtml(composeBody, buildTranslatedDraft(draft, originalHtml, settings.replyMode));
+                composeBody.dataset.lingoTranslatedTo = langSelect.value;
+                undoBtn.hidden = false;
                 btn.innerHTML = '✅ Translated!';
                 btn.disabled = false;
                 setTimeout(() => { btn.innerHTML = '🌐 Translate Reply'; }, 2000);
 
+                lastTranslation = {
+                    segments,
+                    translatedSegments,
+                    targetLocale: langSelect.value,
+                };
+                checkBtn.hidden = false;
+                removeBackTranslationPanel(composeBody);
+                if (settings.backTranslationCheck) {
+                    runBackTranslationCheck(composeBody, lastTranslation, checkBtn);
+                }
+
             } catch (err) {
                 btn.innerHTML = '❌ Failed';
                 btn.disabled = false;
@@ -776,24 +2374,633 @@
             }
         });
 
+        wrapper.appendChild(langIndicator);
         wrapper.appendChild(langSelect);
+        wrapper.appendChild(toneSelect);
         wrapper.appendChild(btn);
+        wrapper.appendChild(undoBtn);
+        wrapper.appendChild(checkBtn);
+
+        const composeContainer = getComposeContainer(composeBody);
+        if (composeContainer) {
+            wrapper.appendChild(installSendGuard(composeBody, composeContainer, langSelect, btn));
+        }
         return wrapper;
     }
 
+    // ── Tone Adaptation ──
+    const REPLY_TONES = [
+        ["", "As written"],
+        ["formal", "Formal"],
+        ["neutral", "Neutral"],
+        ["friendly", "Friendly"],
+        ["concise", "Concise"],
+    ];
+
+    // Rewrites the translated segments in the chosen tone and lets the user
+    // preview the result. Resolves to the segments to put in the draft, or
+    // null when the user cancels.
+    async function previewToneRewrite(translatedSegments, locale, tone) {
+        const toneName = REPLY_TONES.find(([value]) => value === tone)?.[1] || tone;
+        const result = await chrome.runtime.sendMessage({
+            action: "adaptTone",
+            segments: translatedSegments,
+            locale,
+            tone,
+        });
+
+        if (result?.error) {
+            const choice = await showChoiceDialog({
+                icon: "🎭",
+                title: `Couldn't make the reply ${toneName.toLowerCase()}`,
+                bodyHtml: escapeHtml(result.error),
+                actions: [
+                    ["cancel", "Cancel"],
+                    ["plain", "Use plain translation"],
+                ],
+            });
+            return choice === "plain" ? translatedSegments : null;
+        }
+
+        const rewritten = { ...translatedSegments, ...result.segments };
+        const preview = Object.keys(translatedSegments).map((key) => escapeHtml(rewritten[key])).join(" ");
+        const choice = await showChoiceDialog({
+            icon: "🎭",
+            title: `${toneName} ${getLanguageName(locale)} reply`,
+            bodyHtml: `<div class="lingo-dialog-preview">${preview}</div>`,
+            actions: [
+                ["cancel", "Cancel"],
+                ["plain", "Use plain translation"],
+                ["apply", `Use ${toneName.toLowerCase()} version`],
+            ],
+        });
+        if (choice === "apply") return rewritten;
+        if (choice === "plain") return translatedSegments;
+        return null;
+    }
+
+    // ── Back-Translation Check ──
+    // Translates the outgoing reply back into the language the draft was
+    // written in and lines both versions up sentence by sentence; sentences
+    // whose back-translation shares little with the original are flagged.
+    const DRIFT_SIMILARITY_THRESHOLD = 0.45;
+
+    async function runBackTranslationCheck(composeBody, translation, checkBtn) {
+        const { segments, translatedSegments, targetLocale } = translation;
+        const keys = Object.keys(segments);
+        const originalText = keys.map((key) => segments[key]).join("\n");
+        const translatedText = keys.map((key) => translatedSegments[key] || segments[key]).join("\n");
+
+        checkBtn.disabled = true;
+        checkBtn.textContent = "⏳ Checking...";
+
+        try {
+            const detection = await chrome.runtime.sendMessage({
+                action: "detectLanguage",
+                text: originalText.substring(0, 500),
+            });
+            const detectedLocale = detection?.detectedLocale;
+            const draftLocale = detectedLocale && detectedLocale !== "unknown"
+                ? detectedLocale
+                : settings.targetLanguage;
+
+            const result = await chrome.runtime.sendMessage({
+                action: "translate",
+                text: translatedText,
+                sourceLocale: targetLocale,
+                targetLocale: draftLocale,
+            });
+            if (result?.error) throw new Error(result.error);
+
+            const pairs = alignBackTranslation(keys.map((key) => segments[key]), result.translatedText || "");
+            showBackTranslationPanel(composeBody, pairs, draftLocale, targetLocale);
+        } catch (err) {
+            showBackTranslationPanel(composeBody, null, null, targetLocale, err.message);
+        } finally {
+            checkBtn.disabled = false;
+            checkBtn.textContent = "🔁 Check";
+        }
+    }
+
+    // Pairs each original sentence with its back-translation. Segments are
+    // matched line by line when the provider kept the line breaks; otherwise
+    // every original sentence is paired with its closest back-translated one.
+    function alignBackTranslation(originalSegments, backTranslatedText) {
+        const backLines = backTranslatedText.split("\n");
+        const blocks = backLines.length === originalSegments.length
+            ? originalSegments.map((segment, i) => [segment, backLines[i]])
+            : [[originalSegments.join(" "), backLines.join(" ")]];
+
+        const pairs = [];
+        for (const [original, back] of blocks) {
+            const originalSentences = splitSentences(original);
+            const backSentences = splitSentences(back);
+            originalSentences.forEach((sentence, i) => {
+                const match = originalSentences.length === backSentences.length
+                    ? backSentences[i]
+                    : backSentences.reduce((best, candidate) =>
+                        textSimilarity(sentence, candidate) > textSimilarity(sentence, best) ? candidate : best,
+                    backSentences[0] || "");
+                const similarity = textSimilarity(sentence, match);
+                pairs.push({ original: sentence, back: match, similarity, drifted: similarity < DRIFT_SIMILARITY_THRESHOLD });
+            });
+        }
+        return pairs;
+    }
+
+    function splitSentences(text) {
+        if (typeof Intl.Segmenter === "function") {
+            return Array.from(new Intl.Segmenter(undefined, { granularity: "sentence" }).segment(text))
+                .map(({ segment }) => segment.trim())
+                .filter(Boolean);
+        }
+        return (text.match(/[^.!?。！？]+[.!?。！？]*/g) || []).map((s) => s.trim()).filter(Boolean);
+    }
+
+    // Dice coefficient over character trigrams; tolerant of inflection and
+    // word order, which back-translations change even when meaning holds
+    function textSimilarity(a, b) {
+        const trigrams = (text) => {
+            const normalized = ` ${text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim()} `;
+            const grams = new Map();
+            for (let i = 0; i < normalized.length - 2; i++) {
+                const gram = normalized.substring(i, i + 3);
+                grams.set(gram, (grams.get(gram) || 0) + 1);
+            }
+            return grams;
+        };
+        const gramsA = trigrams(a);
+        const gramsB = trigrams(b);
+        let total = 0;
+        let shared = 0;
+        gramsA.forEach((count, gram) => {
+            total += count;
+            shared += Math.min(count, gramsB.get(gram) || 0);
+        });
+        gramsB.forEach((count) => { total += count; });
+        return total === 0 ? 1 : (2 * shared) / total;
+    }
+
+    function removeBackTranslationPanel(composeBody) {
+        composeBody.parentElement?.querySelector(":scope > .lingo-backcheck-panel")?.remove();
+    }
+
+    function showBackTranslationPanel(composeBody, pairs, draftLocale, targetLocale, errorMessage) {
+        removeBackTranslationPanel(composeBody);
+
+        const panel = document.createElement("div");
+        panel.className = "lingo-backcheck-panel";
+
+        let summary;
+        let body;
+        if (errorMessage) {
+            summary = "Back-translation failed";
+            body = `<div class="lingo-backcheck-error">${escapeHtml(errorMessage)}</div>`;
+        } else {
+            const drifted = pairs.filter((pair) => pair.drifted).length;
+            summary = drifted > 0
+                ? `${drifted} of ${pairs.length} sentence${pairs.length === 1 ? "" : "s"} may have changed meaning`
+                : "The translation reads back as intended";
+            body = `
+                <div class="lingo-backcheck-row lingo-backcheck-head">
+                    <div>Your draft</div>
+                    <div>Back from ${escapeHtml(getLanguageName(targetLocale))} to ${escapeHtml(getLanguageName(draftLocale))}</div>
+                </div>
+                ${pairs.map((pair) => `
+                    <div class="lingo-backcheck-row${pair.drifted ? " drifted" : ""}" title="Similarity ${Math.round(pair.similarity * 100)}%">
+                        <div>${escapeHtml(pair.original)}</div>
+                        <div>${escapeHtml(pair.back)}</div>
+                    </div>
+                `).join("")}`;
+        }
+
+        panel.innerHTML = `
+            <div class="lingo-backcheck-header">
+                <span>🔁 ${escapeHtml(summary)}</span>
+                <button class="lingo-backcheck-close" title="Close">✕</button>
+            </div>
+            <div class="lingo-backcheck-body">${body}</div>
+        `;
+        panel.querySelector(".lingo-backcheck-close").addEventListener("click", () => panel.remove());
+
+        // Outside the editable area so the panel never ends up in the email
+        composeBody.parentElement.insertBefore(panel, composeBody);
+    }
+
+    // ── Translate-Before-Send Guard ──
+    // Intercepts Send (button or Ctrl/⌘+Enter) and asks for confirmation when
+    // the draft isn't written in the conversation's language. Enabled globally
+    // from the popup; the shield button overrides it for the current thread.
+    const SEND_BUTTON_SELECTOR = 'div[role="button"][data-tooltip^="Send"], div[role="button"].aoO';
+
+    function installSendGuard(composeBody, composeContainer, langSelect, translateBtn) {
+        const threadId = getComposeThreadId(composeBody);
+        let threadSetting = null; // null → follow the global setting
+        let bypass = false;
+
+        const isEnabled = () => (threadSetting !== null ? threadSetting : settings.sendGuard);
+
+        const guardBtn = document.createElement("button");
+        guardBtn.className = "lingo-send-guard-btn";
+        guardBtn.textContent = "🛡️";
+        guardBtn.hidden = !threadId;
+
+        const updateGuardBtn = () => {
+            guardBtn.classList.toggle("active", isEnabled());
+            guardBtn.title = isEnabled()
+                ? "Language check before sending is on for this conversation"
+                : "Language check before sending is off for this conversation";
+        };
+
+        guardBtn.addEventListener("click", async () => {
+            threadSetting = !isEnabled();
+            updateGuardBtn();
+            await chrome.runtime.sendMessage({ action: "setSendGuard", threadId, enabled: threadSetting });
+        });
+
+        if (threadId) {
+            chrome.runtime.sendMessage({ action: "getSendGuard", threadId }).then((result) => {
+                if (typeof result?.enabled === "boolean") threadSetting = result.enabled;
+                updateGuardBtn();
+            });
+        }
+        updateGuardBtn();
+
+        // Re-dispatch the full pointer sequence Gmail listens for
+        const send = () => {
+            const sendBtn = composeContainer.querySelector(SEND_BUTTON_SELECTOR);
+            if (!sendBtn) return;
+            bypass = true;
+            ["mousedown", "mouseup", "click"].forEach((type) => {
+                sendBtn.dispatchEvent(new MouseEvent(type, { bubbles: true, cancelable: true, view: window }));
+            });
+            bypass = false;
+        };
+
+        const check = () => checkDraftBeforeSend(composeBody, langSelect, translateBtn, send);
+
+        ["mousedown", "mouseup", "click"].forEach((type) => {
+            composeContainer.addEventListener(type, (e) => {
+                if (bypass || !isEnabled() || !e.target.closest?.(SEND_BUTTON_SELECTOR)) return;
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                if (type === "click") check();
+            }, true);
+        });
+
+        composeContainer.addEventListener("keydown", (e) => {
+            if (bypass || !isEnabled() || e.key !== "Enter" || !(e.ctrlKey || e.metaKey)) return;
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            check();
+        }, true);
+
+        // Pick up changes to the global setting made while the draft was open
+        composeBody.addEventListener("focus", updateGuardBtn);
+
+        // Edits after "Translate Reply" may be in another language again;
+        // our own draft rewrites dispatch untrusted events and keep the mark
+        composeBody.addEventListener("input", (e) => {
+            if (e.isTrusted) delete composeBody.dataset.lingoTranslatedTo;
+        });
+
+        return guardBtn;
+    }
+
+    async function checkDraftBeforeSend(composeBody, langSelect, translateBtn, send) {
+        try {
+            const repliedBody = getRepliedMessageBody(composeBody);
+            const threadLocale = repliedBody ? await getMessageLocale(repliedBody) : null;
+
+            const draft = composeBody.cloneNode(true);
+            detachQuotedSections(draft);
+            const text = draft.textContent.trim();
+
+            if (!threadLocale || text.length < 10 || composeBody.dataset.lingoTranslatedTo === threadLocale) {
+                send();
+                return;
+            }
+
+            const detectResult = await chrome.runtime.sendMessage({
+                action: "detectLanguage",
+                text: text.substring(0, 500),
+            });
+            const draftLocale = detectResult?.detectedLocale;
+            if (!draftLocale || draftLocale === "unknown" || draftLocale === threadLocale) {
+                send();
+                return;
+            }
+
+            const choice = await showSendGuardDialog(draftLocale, threadLocale);
+            if (choice === "send") {
+                send();
+            } else if (choice === "translate") {
+                // Translate for review; the user presses Send again afterwards
+                langSelect.value = threadLocale;
+                langSelect.dataset.userChosen = "true";
+                translateBtn.click();
+            }
+        } catch (err) {
+            // The guard is advisory — never block sending because a check failed
+            send();
+        }
+    }
+
+    function showSendGuardDialog(draftLocale, threadLocale) {
+        return showChoiceDialog({
+            icon: "🌐",
+            title: "Translate before sending?",
+            bodyHtml: `Your reply looks like <strong>${getLanguageName(draftLocale)}</strong>,
+                but this conversation is in <strong>${getLanguageName(threadLocale)}</strong>.`,
+            actions: [
+                ["cancel", "Cancel"],
+                ["send", "Send as-is"],
+                ["translate", `Translate to ${getLanguageName(threadLocale)}`],
+            ],
+        });
+    }
+
+    // Modal with a row of buttons; resolves to the chosen action's id, or
+    // "cancel" on Escape or a click outside. The last action is the default.
+    function showChoiceDialog({ icon, title, bodyHtml, actions }) {
+        return new Promise((resolve) => {
+            const overlay = document.createElement("div");
+            overlay.className = "lingo-dialog-overlay";
+
+            const dialog = document.createElement("div");
+            dialog.className = "lingo-dialog";
+            dialog.innerHTML = `
+                <div class="lingo-dialog-header">
+                    <span class="lingo-icon">${icon}</span>
+                    <span>${escapeHtml(title)}</span>
+                </div>
+                <div class="lingo-dialog-body">${bodyHtml}</div>
+                <div class="lingo-dialog-actions">
+                    ${actions.map(([choice, label], i) => `
+                        <button class="lingo-dialog-btn${i === actions.length - 1 ? " primary" : ""}" data-choice="${choice}">${escapeHtml(label)}</button>
+                    `).join("")}
+                </div>
+            `;
+
+            const close = (choice) => {
+                overlay.remove();
+                document.removeEventListener("keydown", escHandler, true);
+                resolve(choice);
+            };
+            const escHandler = (e) => {
+                if (e.key === "Escape") close("cancel");
+            };
+
+            dialog.querySelectorAll(".lingo-dialog-btn").forEach((btn) => {
+                btn.addEventListener("click", () => close(btn.dataset.choice));
+            });
+            overlay.addEventListener("click", (e) => {
+                if (e.target === overlay) close("cancel");
+            });
+            document.addEventListener("keydown", escHandler, true);
+
+            overlay.appendChild(dialog);
+            document.body.appendChild(overlay);
+            dialog.querySelector(".primary").focus();
+        });
+    }
+
+    // ── Reply Modes (SRS FR10) ──
+    // "replace" sends only the translation; the bilingual modes keep the
+    // original draft separated from the translation by a divider.
+    function buildReplyHtml(translatedHtml, originalHtml, mode) {
+        if (mode !== "translationAbove" && mode !== "originalAbove") return translatedHtml;
+
+        const divider = '<hr style="border:none;border-top:1px solid #d1d5db;margin:16px 0">';
+        const original = `<div style="color:#6b7280">${originalHtml}</div>`;
+        return mode === "originalAbove"
+            ? `${original}${divider}<div>${translatedHtml}</div>`
+            : `<div>${translatedHtml}</div>${divider}${original}`;
+    }
+
+    // In the bilingual modes only the user's own text is duplicated; the
+    // signature and quoted thread follow once, after both versions
+    function buildTranslatedDraft(translatedDraft, originalHtml, mode) {
+        if (mode !== "translationAbove" && mode !== "originalAbove") return translatedDraft.innerHTML;
+
+        const trailingSections = detachQuotedSections(translatedDraft);
+        const original = document.createElement("div");
+        original.innerHTML = originalHtml;
+        detachQuotedSections(original);
+
+        return buildReplyHtml(translatedDraft.innerHTML, original.innerHTML, mode) +
+            trailingSections.map(({ element }) => element.outerHTML).join("");
+    }
+
+    function setComposeHtml(composeBody, html) {
+        composeBody.innerHTML = html;
+        // Let Gmail notice the change so the draft is saved
+        composeBody.dispatchEvent(new Event("input", { bubbles: true }));
+    }
+
+    // ── Recipient Language ──
+    // Pre-select the language learned for the first known recipient, falling
+    // back to the language of the thread being replied to.
+    async function autoSelectRecipientLanguage(composeBody, langSelect, indicator) {
+        if (langSelect.dataset.userChosen) return;
+
+        let locale = null;
+        let source = "";
+
+        const recipients = getComposeRecipients(composeBody);
+        if (recipients.length > 0) {
+            const { contactLanguages } = await chrome.runtime.sendMessage({
+                action: "getContactLanguages",
+                emails: recipients,
+            }) || {};
+            const known = recipients.find((email) => contactLanguages?.[email]);
+            if (known) {
+                locale = contactLanguages[known].locale;
+                source = known;
+            }
+        }
+
+        if (!locale) {
+            const { threadLanguage } = await chrome.runtime.sendMessage({
+                action: "getThreadLanguage",
+                threadId: getComposeThreadId(composeBody),
+            }) || {};
+            if (threadLanguage) {
+                locale = threadLanguage.locale;
+                source = "this conversation";
+            }
+        }
+
+        if (langSelect.dataset.userChosen) return;
+        if (!locale || !LANGUAGES.some(([code]) => code === locale)) {
+            indicator.hidden = true;
+            return;
+        }
+
+        langSelect.value = locale;
+        indicator.textContent = `👤 ${getLanguageName(locale)}`;
+        indicator.title = `Recipient language, learned from ${source}`;
+        indicator.hidden = false;
+    }
+
+    function getComposeRecipients(composeBody) {
+        const container = getComposeContainer(composeBody);
+        if (!container) return [];
+
+        const emails = new Set();
+        container.querySelectorAll('[email]').forEach((el) => {
+            emails.add(el.getAttribute('email').toLowerCase());
+        });
+        container.querySelectorAll('[data-hovercard-id*="@"]').forEach((el) => {
+            emails.add(el.getAttribute('data-hovercard-id').toLowerCase());
+        });
+        container.querySelectorAll('input[name="to"], input[name="cc"]').forEach((input) => {
+            (input.value.match(/[^\s<>,;"]+@[^\s<>,;"]+/g) || []).forEach((email) => {
+                emails.add(email.toLowerCase());
+            });
+        });
+        return Array.from(emails);
+    }
+
+    const EMAIL_ADDRESS_PATTERN = /[^\s<>,;"()]+@[^\s<>,;"()]+/;
+
+    function getSenderEmail(emailBody) {
+        const messageRoot = emailBody.closest('.gs') || emailBody.closest('[data-message-id]');
+        const sender = messageRoot?.querySelector('span.gD[email], .gD [email]');
+        return sender?.getAttribute('email') || null;
+    }
+
+    // The signed-in account, from the window title ("Inbox - me@example.com - Gmail")
+    // or the account button
+    function getUserEmail() {
+        const accountLabel = document.querySelector('a[aria-label*="@"][href*="accounts.google.com"]')
+            ?.getAttribute('aria-label') || "";
+        const match = document.title.match(EMAIL_ADDRESS_PATTERN) || accountLabel.match(EMAIL_ADDRESS_PATTERN);
+        return match ? match[0].toLowerCase() : null;
+    }
+
+    function isIncomingMessage(emailBody) {
+        const sender = getSenderEmail(emailBody)?.toLowerCase();
+        return !!sender && sender !== getUserEmail();
+    }
+
     // ── Language Badge ──
-    function injectLanguageBadge(emailBody, locale, translated) {
+    // Shows the source language as a dropdown; picking another language
+    // stores it as the thread's override and re-translates the email.
+    function injectLanguageBadge(emailBody, messageId, locale, translated) {
         const existing = emailBody.parentElement.querySelector('.lingo-lang-badge');
         if (existing) existing.remove();
 
         const badge = document.createElement("span");
         badge.className = "lingo-lang-badge";
-        badge.textContent = translated
-            ? `🌐 Translated from ${getLanguageName(locale)}`
-            : `🌐 ${getLanguageName(locale)} (already in your language)`;
+        badge.title = "Wrong language? Pick the correct one to re-translate";
+
+        const icon = document.createElement("span");
+        icon.textContent = "🌐";
+
+        const select = document.createElement("select");
+        select.className = "lingo-lang-badge-select";
+        const autoOpt = document.createElement("option");
+        autoOpt.value = "";
+        autoOpt.textContent = "Detect automatically";
+        select.appendChild(autoOpt);
+        LANGUAGES.forEach(([code, name]) => {
+            const opt = document.createElement("option");
+            opt.value = code;
+            opt.textContent = name;
+            select.appendChild(opt);
+        });
+        select.value = LANGUAGES.some(([code]) => code === locale) ? locale : "";
+
+        const status = document.createElement("span");
+        status.textContent = translated
+            ? `→ ${getLanguageName(settings.targetLanguage)}`
+            : "(already in your language)";
+
+        select.addEventListener("change", async () => {
+            const chosen = select.value || null;
+            select.disabled = true;
+            await chrome.runtime.sendMessage({
+                action: "setThreadLanguage",
+                threadId: getThreadId(),
+                locale: chosen,
+                manual: true,
+            });
+            retranslateEmail(emailBody, messageId, chosen);
+        });
+
+        badge.appendChild(icon);
+        badge.appendChild(select);
+        badge.appendChild(status);
         emailBody.parentElement.insertBefore(badge, emailBody);
     }
 
+    // ── Re-translate After a Language Override ──
+    function retranslateEmail(emailBody, messageId, sourceLocale) {
+        translatedEmails.delete(messageId);
+        summarizedEmails.delete(messageId);
+        emailBody.parentElement.querySelector('.lingo-translation-block')?.remove();
+        emailBody.parentElement.querySelector('.lingo-summary-block')?.remove();
+        const subtitle = getSubjectTranslation();
+        if (subtitle?.dataset.messageId === messageId) subtitle.remove();
+        releaseSubjectTranslation(messageId);
+        emailBody.style.display = "";
+        translateEmailBody(emailBody, messageId, sourceLocale);
+    }
+
+    // ── Replied Message ──
+    // New compose windows open as dialogs and belong to no thread, whatever
+    // conversation is open behind them.
+    function isNewCompose(composeBody) {
+        return !!composeBody.closest('div[role="dialog"]');
+    }
+
+    function getComposeThreadId(composeBody) {
+        return isNewCompose(composeBody) ? null : getThreadId();
+    }
+
+    // An inline reply sits below the message it answers
+    function getRepliedMessageBody(composeBody) {
+        if (isNewCompose(composeBody)) return null;
+        const above = Array.from(document.querySelectorAll('div.a3s.aiL')).filter((body) =>
+            !body.contains(composeBody) && !composeBody.contains(body) &&
+            (body.compareDocumentPosition(composeBody) & Node.DOCUMENT_POSITION_FOLLOWING)
+        );
+        return above.pop() || null;
+    }
+
+    // Source language of a message: the one its translation used, else detected now
+    async function getMessageLocale(emailBody) {
+        const messageId = emailBody.dataset.lingoMessageId;
+        if (messageLocales.has(messageId)) return messageLocales.get(messageId);
+
+        const clone = emailBody.cloneNode(true);
+        detachQuotedSections(clone);
+        const text = clone.textContent.trim();
+        if (text.length < 2) return null;
+
+        const detectResult = await chrome.runtime.sendMessage({
+            action: "detectLanguage",
+            text: text.substring(0, 500),
+        });
+        const locale = detectResult?.detectedLocale;
+        if (!locale || locale === "unknown") return null;
+        if (messageId) messageLocales.set(messageId, locale);
+        return locale;
+    }
+
+    // ── Gmail Thread Id ──
+    function getThreadId() {
+        const subject = document.querySelector('h2[data-thread-perm-id], h2[data-legacy-thread-id]');
+        const id = subject?.getAttribute('data-thread-perm-id') ||
+            subject?.getAttribute('data-legacy-thread-id');
+        if (id) return id;
+
+        // Fall back to the conversation id in the URL (#inbox/FMfcgz...)
+        const match = location.hash.match(/\/([A-Za-z0-9]{16,})$/);
+        return match ? match[1] : null;
+    }
+
     // ── Loading Bar ──
     function createLoadingBar(message) {
         const bar = document.createElement("div");
@@ -899,6 +3106,28 @@
         if (changes.autoTranslate) {
             settings.autoTranslate = changes.autoTranslate.newValue;
         }
+        if (changes.replyMode) {
+            settings.replyMode = changes.replyMode.newValue || "replace";
+        }
+        if (changes.sendGuard) {
+            settings.sendGuard = changes.sendGuard.newValue === true;
+        }
+        if (changes.backTranslationCheck) {
+            settings.backTranslationCheck = changes.backTranslationCheck.newValue === true;
+        }
+        if (changes.inboxTranslation) {
+            settings.inboxTranslation = changes.inboxTranslation.newValue || "off";
+            restoreInboxRows();
+        }
+        if (changes.readLanguages) {
+            settings.readLanguages = changes.readLanguages.newValue || [];
+        }
+        if (changes.autoTranslateRules) {
+            settings.autoTranslateRules = changes.autoTranslateRules.newValue || [];
+        }
+        if (changes.summaryStyle) {
+            settings.summaryStyle = changes.summaryStyle.newValue || "bullets";
+        }
     });
 
     // Kick off
@@ -0,0 +1,180 @@
+// ─── Lingo-Mail Offline Language Detector ───
+// Loaded into the service worker via importScripts(). Identifies the language
+// of a text sample without a network round-trip: languages with a script of
+// their own resolve directly, languages that share a script (Latin, Cyrillic,
+// Devanagari) are ranked against character n-gram profiles.
+
+// Scripts used by exactly one supported language, or by a group of them
+const SCRIPTS = [
+    { pattern: /[\uAC00-\uD7AF\u1100-\u11FF\u3130-\u318F]/, locales: ["ko"] },
+    { pattern: /[\u3040-\u30FF]/, locales: ["ja"] }, // Hiragana / Katakana
+    { pattern: /[\u3400-\u4DBF\u4E00-\u9FFF]/, locales: ["zh"] }, // Han
+    { pattern: /[\u0E00-\u0E7F]/, locales: ["th"] },
+    { pattern: /[\u0590-\u05FF]/, locales: ["he"] },
+    { pattern: /[\u0600-\u06FF\u0750-\u077F]/, locales: ["ar"] },
+    { pattern: /[\u0370-\u03FF]/, locales: ["el"] },
+    { pattern: /[\u0980-\u09FF]/, locales: ["bn"] },
+    { pattern: /[\u0B80-\u0BFF]/, locales: ["ta"] },
+    { pattern: /[\u0C00-\u0C7F]/, locales: ["te"] },
+    { pattern: /[\u0A80-\u0AFF]/, locales: ["gu"] },
+    { pattern: /[\u0C80-\u0CFF]/, locales: ["kn"] },
+    { pattern: /[\u0900-\u097F]/, locales: ["hi", "mr"] }, // Devanagari
+    { pattern: /[\u0400-\u04FF]/, locales: ["ru", "uk"] }, // Cyrillic
+    {
+        pattern: /[a-z\u00C0-\u024F\u1E00-\u1EFF]/i,
+        locales: [
+            "en", "es", "fr", "de", "it", "pt", "nl", "sv", "da", "no", "fi",
+            "pl", "cs", "ro", "hu", "tr", "vi", "id", "ms",
+        ],
+    },
+];
+
+const NGRAM_PROFILE_SIZE = 300;
+const MIN_DETECTION_LETTERS = 20;
+
+// Closely related languages share most of their n-grams, so a gap that is
+// decisive between unrelated ones is not between them: their margin counts
+// for less, and close calls are left to the provider's detector
+const CLOSE_LANGUAGES = [["id", "ms"], ["da", "no", "sv"], ["es", "pt"], ["ru", "uk"], ["hi", "mr"]];
+const MARGIN_SCALE = 10;
+const CLOSE_MARGIN_SCALE = 4;
+
+// Top 1–3 character n-grams per language, most frequent first, built from
+// sample business correspondence. Words are padded with spaces so the
+// profiles capture common prefixes and suffixes.
+const NGRAM_PROFILES = {
+    en: "e|t|o|a|h|n|e |i|s|r| t|d|th|l|u|w| th|d |he|t | a| w|f|p|the|y|he |ou|s |an|c|m| f|k|r |ha| an| o|g|in|nd|nd |or|re| fo| h| s| y| yo|b|ed|es|fo|h |o |we|yo|you| b| ha| i| l| to| we|and|ar|at|ch|ea|ed |ee|en|for|hi|l |me|nt|ou |st|to|to |u |v|y | be| d| m| p| r| re| wi|be|it|le|ng|on|or |te|th |thi|ul|wi| c| ou|al|as|at |av|ave|ay|da|ent|est|et|f |g |hav|ing|is|ith|k |ke|ll|n |ng |no|nt |oo|our|ow|ow |ro|st |ti|ur|ur |ve|ve |w |we |wit| a | at| da| e| fr| g| i | k| kn| le| me| of| pr| so| u| up| wo|a |ac|ach|ard|be |bes|bo|ch |che|cu|day|eek|ek|el|end|es |et |fr|han|hed|hin|i |ic|ie|il|is |kn|kno|ld|ld |let|li|ll |lo|m |ma|men|ne|ni|nk|nk |now|of|of |om|on |op|ot|oth|oul|out|pa|po|pp|pr|pro|rd|rea|rt|sc|se|so|ta|ted|tha|ty|ty |uld|up|ut|ut |wa|wee|wo| ab| ar| bo| ca| ch| co| di| do| em| en| fa| fe| go| gr| he| if| in| is| la| li| lo| ma| mo| n| ne| on| op| pa| pl| q| qu| sc| se| sh| st| ta| te| ti| wa| wh|ab|abo|ad|ade|ai|ail|al |alk|all|am|am |ang|ani|ank|ano|ant|any|ap|app|ar |are|ari|as |ase|ast|ate|att|ay ",
+    es: "a|e|o|s|r|n|u|d|t|i|s |a |l|c|e |m|p| d|o | p|en|os|os | e|es|de|n | de|as|un| c|nt|re|ta|ue| l|ad|ar|g|or|ra|al|as |do|h|la|pr|q|qu|r |y| co| pr| q| qu| s| t|b|co|de |l |me|na|ra |y | a| h| pa| u| un| y| y |am|el|el |es |ha|na |pa|que|ro|se|st|to|tu| es| f| ha| la| m| n| r| re| se|ac|ado|da|do |em|ent|f|gu|ia|ma|mo|mos|nta|nto|on|or |po|pro|sa|sta|ta |te|to |ue |un |v|í|ía| el| en| lo| no|ci|con|ct|en |er|est|ie|ien|im|in|la |lo|los|no|por|tr|vi|z|ía | b| bu| ca| do| dí| fa| fi| g| me| mu| o| po| te| tu|act|ada|ale|ali|ama|amo|an|ana|ar |ara|bi|bu|bue|ca|cia|cor|cr|ctu|da |del|di|dos|dí|día|ec|eg|egu|ema|ene|fa|fi|fin|gr|gra|gun|has|ias|io|ir|iz|iza|j|le|li|liz|man|me |men|mu|ne|ni|on |ont|op|ot|par|pas|pre|res|ri|rt|rí|ría|sad|se |sem|tad|tam|te |ten|ti|tra|ud|uen|ues|ui|una|uni|unt|us|za|ó| a | ac| ad| ah| al| cr| di| du| em| eq| gr| gu| he| ll| nu| op| ot| pl| sa| si| ti| tr| v| vi|ab|abl|ace|aci|ad |adj|ag|ago|ah|aho|al |alg|alu|amb|ari|ars|ará|arí|asa|aso|ast|av|avo|az|azo|be|be |bio|bir|bl|bla|cal|cam|ce|cer",
+    fr: "e|s|o|n|u|i|t|r|a|s |e |d|l| d|ou|p|c|v|m|en|t |on|re| e| p|es|nt|vo|é| l| v|ous|r |us|us | a| vo|ai|er|me|n |ns|re | de| m|de|ent|es |j|le|te|tr| j| n| s|is|ns |nt |tre|ur|vou| no|a |f|io|ion|it|la|no|ons|our|po| c|di|et|et |ie|in|q|qu|se|un|ur |ve| et| jo| la| le| me| po| q| qu| r| u| un| à| à |at|co|el|er |i |jo|l |la |le |ni|nou|pe|pou|pr|que|si|te |ti|ue|x|à|à | av| b| co| di| do| du| en| pa| pr| ré|an|av|b|ca|ct|de |des|do|du|du |em|ez|ez |h|ir|is |ite|je|jou|men|mi|ne|oc|oi|on |ot|otr|pa|pro|ri|ro|ré|so|ta|tio|u |un |z|z |é | ai| be| da| ex| f| je| l | mi| mo| o| se| so| t| tr| é|ac|act|ai |ain|ait|al|ale|ans|ap|as|ati|au|ave|be|c |con|ctu|cu|da|dan|dir|ec|el |ell|eme|end|est|eu|eux|ex|fa|fi|g|ha|hai|ien|ine|ire|ise|je |lai|len|ll|lle|me |mer|mes|mo|nd|ne |nte|nv|ont|or|os|rs|rs |sa|ser|sit|st|su|ter|ts|ts |tu|ue |ui|ul|ut|ux|ux |vez|vot|x |è|és| a | ap| at| au| bi| c | ca| dé| ef| es| fa| fi| h| hé| j | n | oc| or| pe| re| sa| si| su| ve| w| we| éq| ét| ê| êt|ag|age|aie|aim|ais|am|ami|ani|ape",
+    de: "e|n|i|r|en|n |t|h|s|en |d|a|e |c|ch|l|m|g|u| d|er|de|te|ei|o|t | m|b|f|re|w| w|ge|ne|un| s|it|nd|ch |h |he|ic|ie|in|mi| e| i| mi| u|den|ich|r | b| un|be|d |s |te | a| da| f|as|che|da|gen|ie |k|nd |nen|p|se|si|und|z|ü| be| de| g| si| t| v|ein|el|es|g |hen|it |m |ng|ss|v| ei| ih| wi| z|ag|an|das|eh|eit|fr|ha|hr|ih|ir|is|le|me|mit|oc|och|pr|ri|sc|sch|sie|wi|wo|ür| di| fr| fü| ge| h| ha| ic| n| we| wo|al|am|am |as |ass|bes|de |di|die|ere|fü|für|hn|in |ir |itt|kt|la|mic|nde|nn|nt|ol|sen|sse|st|ter|tt|tte|ung|we|wir|ä|ür | am| an| bi| er| l| me| p| sc| se| ta| te| ve| vo| zu|ab|abe|ag |age|ar|at|bei|bi|der|ec|ech|ed|ede|eld|ele|end|ene|ern|es |esp|eu|fre|hab|her|hl|hne|hre|ig|ihn|ihr|il|ine|iss|j|je|kt |l |ld|lde|len|li|ll|llt|lt|lte|ma|mel|men|na|ne |ng |nge|nne|oll|on|or|pro|rd|re |rec|rei|ren|reu|rn|rne|ro|rs|rsc|rt|rü|seh|sp|spr|ste|ta|tag|ten|uf|um|ve|ver|vo|woc|ze|zei|zu|ß|än|ö|ön| ak| au| do| dr| e | en| gr| gu| in| j| je| k| kö| la| le| ma| mo| na| no| nä| pa| pr| r| re| so| tr| um| vi| wü| za| ze| ä| än",
+    it: "a|e|i|t|o|r|n|l|s|a |e |m|o |u|i |p|d|c| e|g| s|at|to|to | d| p|am|f|or|re| a|en|nt|ta| c|la|na|ti| f|ar|ent|er|h|ia|la |on|re |sa|tt| i| l| t|al|de|es|in|io|l |le|mo|n |pe|ra|si|un|v| e | m|ato|b|co|di|il|ll|ma|me|mi|na |per|se|st|ta |te|ti |tr|tu| co| de| fa| la| pe| r| sa| u| un|an|ch|ere|et|ett|fa|fi|gi|gio|iam|il |ior|is|le |mo |ni|no|orn|os|ra |rn|ro|ua|z| al| ch| di| do| es| fi| g| h| il| pa| pr| ri| se| v|ag|amo|are|att|che|con|cu|del|do|el|em|er |fin|ga|he|he |im|lla|lt|man|men|mi |ne|ne |nto|on |ost|pa|po|pr|pro|r |ri|sia|ss|tra|tua|vo|à|à | ag| b| bu| en| gi| ha| in| le| me| mo| n| no| o| si| te| tu| vo|agg|ai|all|ame|ana|ap|ape|ata|az|azi|bu|buo|cor|de |di |eg|el |esa|far|gg|ggi|ha|ic|ie|ima|ine|it|li|lle|mm|nat|nd|nde|nta|ntr|ol|ont|op|pos|ris|rna|rt|rà|rà |sa |sap|sc|se |set|ssi|sta|su|sul|tar|tat|tim|tti|ttu|ua |ul|un |una|uni|uo|uon|ut|zi|zie| a | ab| at| az| cu| ef| em| gr| ho| i | mi| op| or| q| qu| re| sc| su| ti| tr| va|ab|abb|aga|ai |ail|ale|ali|alt|alu|am |ama|amb|ami|amm|and|ani|arl|arm|art|arà|as",
+    pt: "a|e|o|s|r|t|i|m|a |n|u|d|o |e | a|s | e|p| d|os|c| p| s|ar|r |l|ma|os |se|to| o| se|en|g|ra|es|f|ta|to | c| m|ad|am|as|at|da|do|m |nt|or|q|qu|re|v| e | pa|al|ar |em|er|it|me|mo|pa|ra |sa| co| f| q| qu|as |co|da |de|di|do |ent|im|mos|pr|que|te|ua|ue| a | at| de| di| em| n| o | pr|an|de |h|ia|ito|men|na|no|on|st|sta|ti|ui|um|é|é | do| es| r| re| t|ada|ado|ag|amo|ana|ara|b|con|ei|em |eu|fi|ga|gu|imo|in|is|l |ma |mar|nto|or |par|po|res|ri|ro|so|ss|ta |tr|tu|u |ue |ve|ã|ão|ão |ç| ag| al| an| as| da| en| fa| fi| ma| me| mu| no| nã| os| u| um| é| é |al |ali|ama|ame|ass|atu|até|br|com|cr|cu|dia|eit|el|ema|er |est|et|eto|eu |fa|fe|fei|go|ha|ia |id|ida|ig|iga|j|li|lt|man|mu|mui|na |nal|nf|ni|no |nta|nv|nã|não|ob|obr|oc|om|om |op|opo|ost|ou|pas|pe|por|pre|pro|rm|rma|se |sem|ser|seu|ssa|su|tam|te |ten|tim|tra|té|té |ual|uit|uma|un|uni|ut|ver|vi|vo|x|á|á |ça|ça |ê|ó| ac| b| bo| ch| cr| du| dú| eq| fe| g| go| h| he| i| in| j| já| mê| ob| op| ou| pe| po| sa| so| su| te| ti| tr| v| vo| à| à | ó| ót|ac|acr|ade|aga|ago",
+    nl: "e|n|t|a|n |d|i|en|r|e |o|en |t |g|k|de|v| d|et|j|l|w|m| w| v|et |u| e| h|de |h|te|an|b|s| he|ge|he|ij| b| de| m|er|p|we| we|k |aa|da|ee|g |het|in|ke|me|or|r |vo| be| da| g| t| vo|an |be|c|ek| en| i| j| me| o|at|je|nd|oe|re|st|ve| je| n| te|ag|ct|d |den|ed|eke|el|es|gen|ing|je |ken|la|met|ng|oo|oor|ri|ta|ten|voo| bi| ee| ge| ik| va| wi|aan|ac|act|ar|at |bi|een|end|ev|f|ie|ig|ijk|ik|ik |il|it|jk|li|m |nde|ne|ng |nn|om|or |pr|rd|s |te |va|van|ver|vr|we |wi|z| a| f| gr| ha| k| l| la| ma| op| p| r| re| to| u| ui| ve| vr| wo|aar|ad|ag |age|al|ann|ar |ate|bes|bij|ct |dag|dan|dat|der|ea|eb|ede|eek|ei|ek |eli|erg|eru|esp|ete|gr|ha|heb|ijg|ijn|it |jg|jge|jk |jn|jn |ke |ko|kom|l |lan|lij|ma|men|nd |nen|ni|nk|nne|nt|oet|on|op|op |ord|p |pl|pla|pre|ra|rek|rg|ro|rs|rst|rt|ru|sp|spr|ste|tel|ti|to|tu|tuu|u |ui|uit|ur|uu|uur|ven|wee|wet|wil|wo|wor|zi| aa| al| c| co| di| do| e | ei| er| ev| fa| fi| go| in| is| jo| ka| ki| mi| mo| na| ne| ni| nu| om| on| ov| pl| pr| s| st| wa| z| zi|aag|aat|add|ade|ai|ail|ali|als|am|am |and|ank|ans",
+    sv: "t|a|e|r|i|n|d|g|t |l|m|r |s|o|k|a |h|v|et|f| d| f|ö|tt| v|g |n |ä| m|c|et | s|at|en|ra|ta|tt |u|ör| h|ig|j|te|å| a| fö| o| vi|ag|ar|ar |de|en |fö|me|p|vi| b|b|för| at| oc| t|att|ch|ch |da|e |h |m |oc|och|om| di| me| ä|ag |ck|di|ed|ga|i |ig |in|ja|om |ra |re|är|är |ör | de| fr| i| n| är|an|er|fr|ge|il|ka|kt|med|sk|ti|vi | e| ha| j| ja| p| sk| tr|ad|ade|am|an |as|d |dag|de |det|dig|ed |gar|gen|ha|har|ing|jag|ke|ku|la|li|lig|ll|ng|s |st|ta |tet|tr|vil|y| av| be| da| du| g| hä| hö| in| my| mö| om| pr| u| up| vä|age|ak|akt|al|as |ate|av|av |be|cka|cke|da |du|du |el|era|eta|ett|frå|he|hä|hö|hör|ill|it|itt|ja |jl|ka |ket|ko|l |le|le |lj|lja|lk|lle|ls|men|my|myc|mö|na|nga|ni|nin|no|nom|nt|ok|or|or |pp|pr|ret|ro|rå|sa|sku|sl|tal|ter|tre|tti|u |ul|up|upp|ut|ute|v |vä|yc|yck|äl|än|äs|äst|åg|ån|år|öj|öra| bi| bo| br| bä| bå| do| em| en| et| fa| få| gå| gö| he| hi| i | ig| k| ko| mi| må| ny| nä| nå| nö| pa| r| re| sa| se| sl| so| st| sv| så| ta| te| ti| ve| vå| än|ac|ack|aga|al |aln|am |ame|amt|ane|ass|at |ata|ber|bet|bi",
+    da: "e|t|d|r|i|g|n|a|l|e |o|s|t |r |m|v|f|en| d|er|g |de| v|k| f|ge| m|ed|n |vi|en |er |et|h| vi|et | o| s|d |ig|il|re|te| a| h|at|or|p|u| fo| t|fo|for|in|l |me|ne| at| de| e|at |i |ig |nd|ta|ti| g| i| me| og|al|de |di|eg|ge |id|il |og|og |or |se|te |ve|å|ø| b| di| er| ti|ag|ar|ar |b|da|det|ds|ed |fr|j|je|li|ng|nge|red|til|vi |æ| be| fr| ge| ha| in| j| je| op| p| sk| ve|ak|be|dag|den|der|dig|dt|ede|eg |ern|fre|ft|gen|ger|ha|har|ind|ing|jeg|ke|kt|la|le|le |med|men|ne |om|op|rn|rne|sk|st|tal|vil| af| da| du| go| hv| i | ma| mi| n| se| ta|af|ag |age|akt|an|ate|dr|dst|dt |du|du |eds|ek|em|end|ere|es|fte|get|go|god|gt|he|hed|hv|hvi|ide|ids|igt|iv|ive|ka|kal|ken|ko|kte|ld|lig|lk|ll|lle|lt|m |ma|mi|mig|må|nde|ndt|nt|od|od |ra|re |res|ri|s |sen|ser|sl|sp|ste|tak|ter|tet|u |ul|vid|ør| bl| do| dr| en| et| fa| få| fø| hi| ho| hø| k| ko| l| la| mu| må| mø| ny| næ| om| pa| pr| på| r| re| si| sl| sp| sv| tr| u| ug| vo| w| we| æ| æn|a |ad|ad |ae|aen|af |aft|ai|ail|ak |al |ald|ale|ali|alt|ane|ang|as|ass|bed|beg|bet|bl|bli|dat|dh|dhæ|din|div",
+    no: "e|t|n|r|g|a|d|s|o|i|l|e |en|m|r |t |g | f|f|k|v| d|n |te|en |et| s| m| v|er|de|eg|et |ne|p|å| fo| o|fo|for|h|me|or|u|vi| de| e| h|d |ed|eg |er |ge|j|je| me| t| vi|i |re|ta| b| g|b|ed |se|ø| a| og|ag|ar|at|ene|ig|il|m |ne |og|og |or |å | be| er|ak|ar |be|da|det|el|es|in|kt|la|le|le |li|med|om|om |sk|st|ti|tt|vi | at| en| fr| ha| j| je| n| p| se| ve| å| å |al|at |dag|deg|di|fr|ge |gen|ha|har|ig |jeg|ke|l |må|ng|nn|re |rt|sen|ste|tal|te |ten|tet|ve|vil|ør| av| da| di| fø| gj| go| hv| i| l| la| må| om| op| ta| ti|a |ag |age|akk|akt|ale|am|an|ate|av|bes|de |end|enn|est|ett|fre|fø|gj|gje|go|god|gt|gt |he|hv|hvi|il |ing|is|kj|kje|kk|ku|lag|lan|lg|lig|ll|lle|ls|meg|men|nd|nen|nge|no|nt|od|od |op|opp|os|pp|ra|ri|rn|rs|rte|ser|skj|sl|sp|tak|ter|tte|tu|ul|ut|y|år| ba| bl| do| du| e | fa| få| gi| gå| he| hi| hø| i | in| k| ko| mu| mø| ne| no| ny| pa| po| pr| r| re| sa| sk| sl| sn| so| sp| st| sv| så| te| tr| tu| u| uk| vå|ae|aen|agt|ali|ame|amt|ane|ang|ap|ape|are|as|ass|av |avt|ba|bar|beg|bet|bl|bli|dat|den|dig|din|dis|do|dok|dr",
+    fi: "i|a|t|s|e|n|u|o|l|ä|k|m|n |a |p|v|y|h|si|ta|in|j|r|e |is|st| k| p|ä | j|ii|me|tä| o| s| t|in |mm|ta |et|it|le|ll|me |mme|on|te|ti|tt|ul|us|vä| m|en|i |ja|on |sin|sta| ja| l| v|ai|an|as|im|isi|ja |jo|ks|ku|la|lu|mi|ttä|uu|vi|äi| e| h| jo| on|al|an |en |er|ik|inu|ist|ke|ko|le |lle|nu|op|os|ot|pa|pi|pu|se|ty|va|yt| ke| ku| pa| pä| si| vi| y|aa|at|d|em|emm|ett|ha|he|ia|il|imm|ite|iv|lo|nul|ol|pä|päi|ri|rit|ro|s |sa|sa |sk|ss|ssa|sti|su|t |tet|to|tä |ull|ust|vii|yv|yvä|äh|äiv|än|ää| a| et| ha| hy| lä| mi| mu| pu| so| ti| tä| u|ais|ak|alu|asi|ast|ata|av|do|dot|ei|eis|el|es|hal|hk|hy|hyv|iik|iim|iin|iit|iko|ill|ivä|jos|ka|ker|ki|kon|kse|ksi|kuu|ky|kä|la |lem|li|lla|lop|lus|lä|men|mu|oi|ok|oks|ole|opi|os |ota|pal|pia|puh|sii|sku|so|sop|tin|tis|tta|tu|täv|u |ua|uh|uk|ulu|un|un |vä |vää|yn|ys|ytt|än |äv|ävä|ää | ai| as| eh| er| ki| ko| ky| kä| la| li| lo| ma| mo| od| ol| ot| ov| pi| pr| r| ro| se| su| sä| ta| te| tu| ty| us| uu| va| vo| yh| yr| ys|aam|aan|aav|aih|aik|ait|aki|aks|ala|alj|am|ami|ani|ap|apa|ar|arh|ask|at |au|aul|ava",
+    pl: "a|o|i|z|e|n|m|r|d|k|w|p|t|y|s|c| p| z|a |u|j| d|an|i |ie|na|ni|ć|ć |ł|o |ow|ę|ia|ze|ś| w|b|do|e |l|po|ro|u |y |ó|ę | pr|dz|es|g|h|kt|m |mi|pr|wi|za| do| k| m| o|am|ać|ać |ch|st|wa|yc|zo|ą|ż| c| i| i | n| na| po| za| ze|ak|ani|ar|as|ał|ci|cz|dzi|go|je|ko|li|mo|my|my |na |ok|on|os|owa|pro|rz|sz|ta|tu|zi|śm| j| mi| pa| s| t| z | ż|akt|am |ana|ard|ba|bar|chc|eg|ego|ej|ek|en|eś|f|go |hc|ia |ić|ić |ka|kon|ktu|ku|nia|nie|od|oz|pa|pow|ra|rd|rdz|rm|w |wy|ych|z |zes|zie|zm|zę|zę |ów|ła|łe|śmy| a| b| ba| ch| dz| f| je| ko| kt| r| ro| u| w | wy| zo| że|ad|ado|al|ali|aż|aża|by|ch |dn|dni|dok|dzo|em|em |est|h |hci|iał|ies|ik|in|ią|ię|ja|ję|ję |ki|któ|le|ma|mi |mia|mow|mó|mów|nas|ni |nik|no|nt|ną|ną |ob|ol|ole|om|ost|osz|ot|owi|ozm|oś|ość|pan|prz|ra |rmo|ros|roz|ry|rze|si|sp|sta|szę|tan|to|tu |ty|tó|tór|uj|um|wać|waż|wia|wić|zał|ze |zn|zo |zos|zy|ór|óry|ówi|ą |ąc|ł |łeg|ść|ść |ża|że|że | a | ab| ci| cz| da| dl| dn| fa| fi| h| ha| ja| kr| ma| mn| o | ob| od| ok| om| py| pł| si| sk| sp| to| tr| ty| um",
+    cs: "o|e|a|m|t|d|n|i|v|l|s|k|r|e |i |p|a |á|ě|h|í| d| p|j|m |u| m| s| v|z| n|b|c|t |na|ý| a|ro|y|š| pr|ho|kt|po|pr|pro| a | do| k| na| o| t|ch|de|do|en|mi|na |o |ok|os|ov|te|vá| b| h| j|ak|al|ku|li|me|mi |mě|ra|se|va|y |ím| js| mě| po| se| vá| z|akt|at|av|by|ce|dn|dě|ej|il|je|js|ko|ktu|ky|ky |l |le|li |me |ne|no|ob|od|om|on|rá|se |sl|sí|te |to|tu|ve|vě|zk|ám|ám |át|í |íl|ý |ř|ší|ž| by| da| de| ho| ko| kt| mi| ne| od| př| s | si| sp| tý| vě| ž| že|ali|alš|am|at |aš|aši|br|byc|ce |cho|d |da|dal|den|dět|ed|ejt|el|em|em |er|erý|h |he|hom|ili|jsm|jt|jte|kon|kr|kte|la|lu|luv|lá|lš|lší|ml|mlu|nt|obr|oj|oje|oku|om |ost|osí|ova|oz|pok|př|pří|rý|s |si|si |sm|sme|sp|spo|st|ter|ti|ti |tý|tě|u |ud|uv|uvi|vi|vil|vám|ví|věd|yc|ych|za|át |áz|é|íc|íce|ím |ě |ěd|ědě|ěl|ět|ět |ří|říl|ši|ši |ší |ů|že|že | ab| ak| bu| bý| c| ch| dn| dá| dě| e| e | f| fa| ha| he| je| kr| ma| ml| mn| my| má| ná| ně| o | ob| ot| pl| r| rá| sc| to| tě| tř| v | va| ve| ví| vý| z | za| zm|ab|aby|ad|adn|ai|ail|aké|am |ami|an|aný|ar|arm",
+    ro: "e|a|i|t|r|u|n|ă|m|c|l|s|i |o|p|ă |e |d|re| a| c| d|v| s|a | p|tr|ul|de|nt|t |te|un| de| m| v|at|cu|m |ș|ț|en|es|f|să|ta|tu|u |z| să|am|b|pr|sp|să |și|ți| am| t|ac|ar|ct|de |ec|l |le|n |or|ri|ru|um|ți | e| f| mu| r| tr| vă| î| ș| și|am |ctu|că|ent|it|le |me|mu|mul|mă|ne|ni|ntr|oa|pu|pun|re |ro|st|te |tre|ul |vă|vă |â|î|și | co| cu| l| n| o| pe| pr| în|act|al|at |aș|co|cu |că |des|ea|el|er|esp|ie|ii|ii |in|iz|la|lt|mi|pa|pe|pen|pre|pro|ri |rt|ru |ră|spr|spu|tru|tul|tă|ult|ut|vo|zi|în| a | ac| ca| ce| că| do| fo| i| la| no| o | pl| re| sp| u| vo| z| zi|ali|an|art|as|ast|ata|ate|av|aț|ați|bi|bu|ca|ce|con|cum|cut|da|di|do|ea |eb|ect|ele|em|em |end|ere|ez|eț|eți|fi|fo|foa|g|ie |il|ile|im|is|ita|iza|la |li|liz|lt |lu|lț|lțu|men|mes|mă |na|nd|nii|no|nte|nă|nă |o |oar|oas|og|on|op|orb|ori|pl|pt|ra|rb|rbi|rea|reb|rm|rog|rte|ră |sc|str|su|tat|taț|ter|tră|tua|tă |ua|ui|ulț|ume|un |une|uni|ur|ut |vi|vin|vor|za|zat|ân|înt|ăm|ăr|ări|țu|țum| an| at| av| aș| b| bu| cr| da| di| du| ec| ef| es| ez| fa| fi| ia| in| lu",
+    hu: "e|t|a|l|n|s|é|m|z|k|o|g|i|r|t |á|a |v| a|el|b|j|y| a |d|et|h|sz| h|te|gy| k| m| v|k |le|n |és| e|eg|i |me|ü|e |l |m |na|p|ö| s| sz|at|es|ez|gy |ke|lj|on|re|s |u|vá|y |zá|ég|ét| ho| j| l| me| n| na| é| és|ap|be|c|ek|em|en|er|ett|f|ho|je|lt|meg|mi|ni|ni |on |szá|tt|z |ze|zám|ám|ár|és |ét |í|ő| az| b| c| f| le| vá|ag|agy|al|az|az |bb|bes|ed|egb|ele|ere|esz|gb|gbe|hog|kel|ké|lé|nap|nk|og|ogy|ok|ol|szé|tn|to|tte|va|vé|ye|zt|zé|zél|át|él|én|ér|ú| cs| eg| ha| je| ke| ké| kö| mi| va| ú| ü|al |ap |as|ato|b |bb |bi|cs|csa|do|egy|el |ell|elő|em |etn|g |gyo|gé|ha|he|het|il|in|is|iss|iz|ja|jel|jü|jük|kk|kér|kö|la|lez|ll|lt |ly|lő|lőb|ma|min|má|már|nag|nd|nk |né|om|ot|ot |oz|p |ra|ra |rd|ret|rm|rmi|ro|sa|se|ss|st|st |sze|sí|sít|ta|tel|tem|tet|tné|té|um|vál|vég|yo|yon|za|zer|zte|zz|ál|ámá|ára|ás|át |ég |égé|ése|ít|íte|ív|ívá|ó|ön|ük|ük |ül|őb|őbb| be| bi| bá| cé| d| do| e | ed| el| er| ez| fi| fo| fr| g| go| he| hé| hí| hó| ja| jó| kí| kü| lé| ma| mú| p| pr| t| te| vi| vo| vé| á| át| ö| ön| úg",
+    tr: "i|e|n|a|r|l|u|k|m|d|n |o|t|ı|g|y|i | i|in|s|e |z|ç|b|ek| b| g|an|er|in |nu|ü|ş|a |en|la| s|me|un|de|h|il|k |ki|le|ri|z | d| iç|ar|bi|eri|f|ir|iy|iç|on|or|r |uz|uz | bi| h| so|di|ge|ha|im|içi|m |ni|nı|oru|p|ru|so|te|unu|yo|yor|çi|çin|ö|ün|ğ|ı | a| e| ge| o| v| ve|ak|da|en |eni|iyo|ki |kl|lar|ld|li|ma|nd|onu|son|v|ve|ve |yi| be| gö| gü| ha| k| ol| p| t| y| ç|anı|arı|ay|be|bir|c|ce|der|ed|ek |eki|el|gi|gö|gü|gün|ik|ile|im |ir |iş|kli|mek|ml|nde|nm|nun|ol|rı|sa|st|ta|tu|u |um|uğ|uğu|ya|yi |çe|ön|ğu|ım|ın|ız|şi| ay| de| ek| f| he| il| is| iy| ko| si| te| ya| ço| ş|ad|af|aft|ak |aki|am|ama|an |ana|ang|at|bil|cel|de |dir|du|duğ|edi|ekl|ekt|em|ere|et|ey|eyi|eç|ft|fta|ger|geç|gi |gön|haf|han|he|her|ikl|ild|is|ist|iyi|iz|işi|ko|kon|kt|kte|la |lan|ldi|ldu|ler|lg|mak|me |mla|na|na |nc|nce|ng|ngi|ni |nin|nme|nu |nuz|nuş|nü|nız|ok|ok |old|pl|pla|ra|re|ri |rim|rk|rs|rsa|rum|ruz|rı |si|siz|t |ti|tı|um |un |ur|uş|yg|ço|çok|önd|ün |ünü|üş|ği|ğun|ıl|ıml|ını|şm| ad| an| ba| bu| da| di| dö| dü| e | ed| fa| fı| ik",
+    vi: "n|t|i|h|c| t|i |n | c|g| v|ng|v|u| n| đ|đ|g |ng |a|m|o|à| b|b|c |t |o |p| ch| h|a |ch|nh|r|ạ|ế| bạ| th| tô|bạ|bạn|th|tô|tôi|ô|ôi|ôi |ạn|ạn |ớ| m| nh| và|l|m |p |và|ư| l| tr|chú|hú|tr|à |á|ú|ả|ấ|ất|ất | cu| củ| k| ng| vớ| x|cu|củ|của|hún|iế|k|u |uố|và |vớ|với|x|y|y |ào|ào |ó|ún|úng|ậ|ề|ệ|ố|ộ|ới|ới |ợ|ủ|ủa|ủa | p| ph| r| s| đã| đư|cho|e|ho|ho |hả|iệ|ph|s|án|ã|ã |ò|òn|òng|đã|đã |đư|đượ|ơ|ượ|ược|ầ|ần|ần |ết|ết |ề |ọ|ợc|ợc | bi| g| li| lò| mu| nà| rấ| ta| ti| tu| vu| về| đổ|ay|ay |bi|biế|cuố|cuộ|em|gà|gày|h |ha|hi|há|hó|hậ|iết|li|lò|lòn|mu|muố|ngà|nh |nhậ|nà|nào|on|ong|phả|rấ|rất|ta|ta |tha|ti|tiế|tu|tuầ|ui|ui |uầ|uần|uối|uốn|uộ|uộc|vu|vui|vào|về|về |ài|ài |ày|ày |ác|ác |án |â|ê|đổ|đổi|ơn|ơn |ướ|ước|ận|ận |ến|ến |ếp|ếp |ối|ối |ốn|ốn |ổ|ổi|ổi |ộc|ộc |ớc|ớc |ự| ba| bư| bấ| cá| câ| có| cả| cậ| d| dự| e| em| gọ| gử| hi| hà| hó| hệ| họ| hỏ| hồ| hợ| kh| kè| kế| kỳ| lu| mo| mà| mư| mộ| na| nó| nế| q| qu| rằ| sắ| sẽ| sớ| to| tà| vi| vì| vò| vẻ| xe| xu| xé| xế| á| án| đí| đơ| đế| đề| để| độ| đừ| ơ",
+    id: "a|n|i|an|e|k|u|d|n |r|m|t|h|a |an |g|l|s|da|ng|p|b|y|la|ya| d|i | s|ah|ka| p|in| a| m|ak|ba|en|er|o|sa| b| k| t|al|ang|h |k |me| me|ar|ha|j|ta|ya | da| sa|ay|aya|da |kan|pe|ri|u | pe|ad|ah |am|at|g |ga|gi|men|ng |pa|ra|se| ba| h| i| in|as|dan|em|ja|lan|ma|nd|nda|nga|ni|nt|per|ri |say|t |ti|w|wa| an| ha| ka| se| y| ya|ada|ala|and|at |bah|c|el|ela|eng|gan|ik|il|ing|ir|lam|m |nj|ny|nya|ru|tu|uk|un|yan| ad| de| di| j| l| la| pa| ta| te| ti| u| un|ag|aha|ai|ak |ari|be|ber|bu|de|den|di|emb|eri|har|hu|im|in |ini|ki|l |lah|mb|mi|ngi|ni |ntu|r |rak|s |sal|te|tuk|uk |unt|ut| ak| be| ja| ke| ki| pr| r| ra| su|aa|aan|adw|agi|ahu|ahw|aka|akh|al |am |ami|anj|any|ap|apa|ara|aru|as |asi|ata|au|bar|ca|co|dah|dak|dal|dw|dwa|ek|ena|eni|eru|gg|gi |gin|gu|gu |han|has|hi|hir|ho|hu |hw|hwa|ih|ika|ila|im |ir |it|ita|jad|jau|ju|jut|kam|ke|kh|khi|kit|ku|lu|mat|mba|mem|mi |mp|na|nan|ngg|nin|nja|nju|ok|on|pat|pr|pro|rim|ro|rus|sel|si|su|sud|ta |tah|tan|ter|ub|ud|uda|uh|uh |ul|us|wa |wal| ap| at| bi| bu| c| co| do| e| em| ho| ji| ko| ma| mi| mo| pu",
+    ms: "a|n|an|i|e|u|k|m|t|g|s|n |a |an |d|ng|l|r|h|b|p| s|ka|y| m|da|ya| d|ang|la|i |in|me| b| me|ak|er| p|at| k| t|ba|en|g |k |kan|ng |te|ua| a| te|ah|ar|as|ga|h |ma|pa|sa|t |ta| ba| da| sa|at |ay|aya|da |em|ha|ri|se|ya | se|dan|el|gi|nt|s |un| i| in| pa|ad|al|am|as |bu|ik|ing|j|lan|men|nd|nda|nga|o|say|ter|tu| an| h| ka| y| ya|ada|ag|ah |ak |and|ari|c|ca|ela|gan|ki|lu|mem|mi|ny|pu|ra|su|u |uk|yan| be| di| ha| j| ki| l| pe| u| un|aha|ai|aka|akl|ala|ara|bah|be|ber|di|du|dua|ema|eng|eri|eru|et|gg|gi |gk|gka|hu|ih|ika|ini|it|ita|ke|kl|lah|lam|mak|mp|ngg|ngi|ngk|ni|ni |ntu|nya|pad|pe|ru|si|ti|tuk|uk |ul|um|unt|us| ak| de| ja| ke| la| ma| mi|aga|agi|ai |ami|ant|asi|aw|awa|bi|bin|bua|can|de|den|eb|ek|emb|emp|ep|es|eta|gak|ggu|gin|gu|gu |han|har|haw|ih |il|ila|im|ima|in |inc|ir|ja|kam|kas|kat|kit|klu|l |lum|m |ma |mb|mel|mi |min|na|nc|nca|nta|pas|per|r |ran|ri |rim|san|seb|set|sih|sy|ta |tel|ua |uat|ub|ula|ung|ut|w|wa|wa |yar| ag| at| bi| bu| c| ca| do| du| e| e | he| ji| le| pr| pu| si| so| su| sy| ti|adu|ahu|aik|akh|al |ali|am |ama|amp",
+    ru: "о|е|а|т|и|н|с|л|д|в|р|м|ь|е |п|а |б|и |к|ы| в| о|ен|у|х|ь | с|й|ть|ч|ш|я| п|з|о | д| к|ж|на|пр|ро|та|ть |ы | м|й |ко|не|об|от|те|хо|я | б| и| ко| н| пр|ат|ва|во|ес|ит|ни|ст|то| ва| и | об| х| хо|де|ед|ел|ени|ие|ль|од|ож|ол|ор|про|ре|т |та |х |ше|щ| до| е| з| мы| на| ч| чт|ас|аш|аше|бо|бы|ве|г|ди|до|ие |ил|ить|ле|ли|ли |ло|м |ме|мо|мы|мы |на |не |ние|но|ны|ов|ок|оль|ош|ра|ри|рош|с |ся|то |тр|ц|че|чт|что|ых|ё| бо| бы| в | во| ес| мн| не| от| по| р| с | сч| т| у| я| я |ам|ан|ата|ать|бол|бы |в |ваш|вл|го|да|ден|дит|дл|дн|ду|еде|ей|ей |ем|ем |ень|ет|еч|ече|же|жен|жн|зв|зм|зн|зна|из|их|их |йт|йте|к |ком|л |ла|лож|льш|мен|ми|ми |мн|мне|н |нь|нь |ово|оди|ое|ой|ой |ом|он|оп|оро|ос|оте|па|по|рил|сл|сть|сч|сь|ся |тел|тес|тре|тьс|у |уд|ход|хор|хот|ца|чен|чи|чит|ша|ше |щи|ых |ьс|ься|ьш| а| а | бу| ве| вс| вы| г| го| да| де| дл| дн| ещ| ж| жд| за| зв| зн| из| к | ка| ме| о | од| оп| оч| пи| ра| ре| сл| со| сп| ср| ст| те| тр| у | ув| ш| ша| э| эт|ав|авл|аг|аги|ае|аем|аж|аже|аз|азн|ай|айт|ак|ако",
+    uk: "о|а|и|н|т|і|д|в|р|м|е|п|у|я|л|з|и |к|с| п|о |ов| д| з|а |на|ро|я |і | м|б|г|е |ти|х| в| н|до|ми|по|ь| на|ва|ен|ит|ом|пр|та|у |щ|ід| о| по| пр| т| щ| я|ві|го|й|ми |ни|ні|пов|ри|ти |ц|ь | ва| до| ми| р|ан|від|ж|ити|ла|ли|но|ну|от|про|ст|ся|ш|що|ю|ю |як| б| г| за| к| що| як|ам|ас|ат|аш|в |во|дн|ер|за|ис|их|й |ме|мен|мо|мі|ні |об|ово|ові|од|оз|ок|ор|рн|ся |те|тр|ту|ул|х |хо|ч|що |є|ін|іс| бу| га| ко| л| ме| об| ро| та| х| хо| я | і| і |ад|ами|ап|ар|арн|б |бу|буд|ваш|ве|вер|вор|га|гар|гов|да|де|до |дом|дь|дь |ді|ені|зм|зу|ий|ий |ися|их |ка|ки|ко|ком|ку|кі|ле|лен|ли |ль|ля|м |мт|мте|мін|на |не|не |них|но |нул|ня|ня |омт|оп|ори|оті|при|ро |роз|рі|т |та |тат|тис|трі|ту |ть|ть |ті|уд|хот|ця|ці|ів|ів |ідо|ій|іл| а| а | б | вв| ви| ві| го| де| дл| дн| ду| дя| з | зв| зд| зм| зу| зі| кр| ла| ли| мо| мі| не| од| он| оп| пі| ра| ре| с| со| те| ти| тр| у| у | ц| це| ч| че| ще| щи| є| є |ав|ав |аг|аго|адо|аді|аж|ажа|ай|айб|ам |анд|анн|ано|ані|апи|апр|ас |аск|аст|ата|ати|ату|ах|аху|ач|ачи|аш |ашо|ашу|аю|аю ",
+    hi: "क|क | क| क |र|ह|त|स|र |न|म|ह | ह|त |न |प|म | त| स|ल|ब|ल |स | न| ल| ह |ग| त | न | ब|य| म| ल | अ| ए| म | स |अ|ए|द|य | प|ज|व| आ| आप| ग| ज| द| य| र|आ|आप|आपक|ग |च|पक|पक |ब |व | ए | औ| और| कर| ब |ए |औ|और|और |कर|च |ज | ग | च| ज | झ| द | भ| भ | य | हम|झ|द |प |भ|भ |हम|हम | च | छ| पर| र | व| व |करन|छ|पर|पर |रन|रन | अग| अच| ई| एक| छ | झ | ट| ट | थ| थ | प | बत| बह| रह| लग| श| श | सप| सम|अग|अच|अच |ई|एक|एक |कर |गत|गत |छ |झ |ट|ट |थ|थ |बत|बत |बह|बह |रह|रह |लग|श|श |सप|सप |सम| अ | अप| अब| अव| इ| इ | ई | ईम| एग| कद| ख| ख | गत| गय| चर| छल| जन| जव| झक| झस| ठ| ठक| तक| तज| तय| तर| दर| दस| ध| धन| नत| पन| पय| बद| मह| यव| यह| रस| ष| ष | सब| सव| हत|अ |अगर|अगल|अप|अपड|अब|अब |अव|अवस|इ|इ |ई |ईम|ईम |एग|एग |कद|कदम|ख|ख |गय|गय |गर|गर |गल|गल |चर|चर |छल|छल |जन|जन |जव|जव |झक|झक |झस|झस |ठ|ठक|ठक |ड|ड |तक|तक |तज|तज |तय|तय |तर|तर |दम|दम |दर|दर |दल|दल |दस|दस |ध|धन|धन |नत|नत |पड|पड |पन|पन |पय|पय |बद|बदल|बस|बस |मय|मय |मह|मह |यव|यव |यह|यह |रस|रस |लग |लगत|वस|वसर|ष|ष |सब|सबस|सम |समय|सर|सर |सव|सव |हत|हत ",
+    mr: "ल|ल |त|य| आ|आ| य|त |व|स|प|य |म|ह| त| य |च|ह |क|च |स | प|र| त | व| स| म| ल|क |द| क| स |म | च| प | ल |न|प | च | ह|व | क | ह |न |र | आह| द| न|आह|आह |ठ|ण|द | व |ब| ठ| न | ब| म |ण | आण| र|आण|ज|ज |ट| अ| आप| ज| ज | द | ध|अ|आण |आप|ट |दल|दल |ध|बद|श|श | अस| आम| ग| ट| ठ | दल| ध | ब | बद| मच| यच| श| श |अस|आपल|आम|आम |ख|ख |ग|ठ |ठव|ड|ध |पल|पल |ब |बद |मच|मच |यच|यच |ळ| आठ| आत| ई| कर| ख| ख | ग | ट | पर| मल| रक| ळ| ळ | वट| वस|असल|आठ|आठव|आत|आत |ई|कर|ग |ठवड|ड |ढ|ढ |पर|पर |मल|मल |रक|ळ |वट|वट |वड|वड |वल|वल |वस|वस |सल|सल | अद| आढ| ईम| ईल| उ| उत| ए| एक| कळ| गल| घ| घ | चर| छ| छ | झ| झ | टत| ठक| ठर| ठव| ड| डल| ढ| ढ | ण| णत| तऐ| तच| तर| तल| दस| धन| नक| नम| पत| पन| पय| भ| भर| मन| मह| यय| यल| यव| र | रश| रस| लब| लल| वत| वर| वल| सम| सर| हत|अद|अद |अस |आढ|आढ |आणख|आपण|ईम|ईम |ईल|ईल |उ|उत|उत |ए|एक|एक |ऐ|ऐव|ऐवज|कर |करण|कल|कल |कळ|कळव|गल|गल |घ|घ |चर|चर |छ|छ |झ|झ |टत|टत |ठक|ठक |ठर|ठरव|ठवल|डल|डल |णख|णख |णत|णत |तऐ|तऐव|तच|तच |तर|तर |तल|तल |दस|दस |धन|धन |नक|नक |नम|नम |पण|पण |पत|पत |पन|पन |पय|पय |बदल|भ|भर|भर |मन|मन |मह|मह |यय|यय |यल|यल |यव",
+};
+
+const rankedProfiles = {};
+
+function getRankedProfile(locale) {
+    if (!rankedProfiles[locale]) {
+        const ranks = new Map();
+        NGRAM_PROFILES[locale].split("|").forEach((gram, rank) => ranks.set(gram, rank));
+        rankedProfiles[locale] = ranks;
+    }
+    return rankedProfiles[locale];
+}
+
+function extractNgrams(text) {
+    const counts = new Map();
+    const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+    for (const word of words) {
+        const padded = ` ${word} `;
+        for (let n = 1; n <= 3; n++) {
+            for (let i = 0; i + n <= padded.length; i++) {
+                const gram = padded.substring(i, i + n);
+                if (!gram.trim()) continue;
+                counts.set(gram, (counts.get(gram) || 0) + 1);
+            }
+        }
+    }
+    return Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, NGRAM_PROFILE_SIZE)
+        .map(([gram]) => gram);
+}
+
+/**
+ * Cavnar–Trenkle "out of place" distance between a text's ranked n-grams and
+ * a language profile, normalised to 0 (identical) … 1 (nothing in common).
+ */
+function profileDistance(textGrams, locale) {
+    const profile = getRankedProfile(locale);
+    let distance = 0;
+    textGrams.forEach((gram, rank) => {
+        const profileRank = profile.get(gram);
+        distance += profileRank === undefined
+            ? NGRAM_PROFILE_SIZE
+            : Math.abs(profileRank - rank);
+    });
+    return distance / (textGrams.length * NGRAM_PROFILE_SIZE);
+}
+
+function rankByProfile(text, locales) {
+    const textGrams = extractNgrams(text);
+    if (textGrams.length === 0) return { locale: locales[0], confidence: 0 };
+
+    const ranked = locales
+        .map((locale) => ({ locale, distance: profileDistance(textGrams, locale) }))
+        .sort((a, b) => a.distance - b.distance);
+
+    const [best, runnerUp] = ranked;
+    // Confidence grows with the gap to the runner-up language
+    const margin = runnerUp ? (runnerUp.distance - best.distance) / runnerUp.distance : 1;
+    const scale = runnerUp && areCloseLanguages(best.locale, runnerUp.locale)
+        ? CLOSE_MARGIN_SCALE
+        : MARGIN_SCALE;
+    return { locale: best.locale, confidence: Math.min(1, margin * scale) };
+}
+
+function areCloseLanguages(a, b) {
+    return CLOSE_LANGUAGES.some((group) => group.includes(a) && group.includes(b));
+}
+
+/**
+ * Detect the language of `text` offline.
+ * Returns { locale, confidence } where confidence is 0…1; locale is
+ * "unknown" when the text contains no letters.
+ */
+function detectLanguageOffline(text) {
+    const sample = (text || "").substring(0, 2000);
+    const scriptCounts = SCRIPTS.map(() => 0);
+    let letters = 0;
+
+    for (const char of sample) {
+        const index = SCRIPTS.findIndex((script) => script.pattern.test(char));
+        if (index === -1) continue;
+        scriptCounts[index]++;
+        letters++;
+    }
+
+    if (letters === 0) return { locale: "unknown", confidence: 0 };
+
+    // Japanese mixes kana with Han characters; any real share of kana decides it
+    const kana = scriptCounts[1];
+    const han = scriptCounts[2];
+    if (kana > 0 && kana + han >= letters / 2 && kana >= (kana + han) * 0.05) {
+        return { locale: "ja", confidence: (kana + han) / letters };
+    }
+
+    let dominant = 0;
+    scriptCounts.forEach((count, index) => {
+        if (count > scriptCounts[dominant]) dominant = index;
+    });
+
+    const script = SCRIPTS[dominant];
+    const scriptShare = scriptCounts[dominant] / letters;
+    // Very short samples can't be told apart reliably
+    const lengthFactor = Math.min(1, letters / MIN_DETECTION_LETTERS);
+
+    if (script.locales.length === 1) {
+        return { locale: script.locales[0], confidence: scriptShare * lengthFactor };
+    }
+
+    const result = rankByProfile(sample, script.locales);
+    return { locale: result.locale, confidence: result.confidence * scriptShare * lengthFactor };
+}
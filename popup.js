@@ -5,61 +5,163 @@ document.addEventListener("DOMContentLoaded", () => {
     const toggleKeyBtn = document.getElementById("toggleApiKey");
     const geminiKeyInput = document.getElementById("geminiApiKey");
     const toggleGeminiBtn = document.getElementById("toggleGeminiKey");
+    const providerSelect = document.getElementById("translationProvider");
+    const libreUrlInput = document.getElementById("libreTranslateUrl");
+    const libreKeyInput = document.getElementById("libreTranslateApiKey");
+    const toggleLibreBtn = document.getElementById("toggleLibreKey");
     const targetLangSelect = document.getElementById("targetLanguage");
     const autoTranslateCheck = document.getElementById("autoTranslate");
+    const replyModeSelect = document.getElementById("replyMode");
+    const inboxTranslationSelect = document.getElementById("inboxTranslation");
+    const sendGuardCheck = document.getElementById("sendGuard");
+    const backTranslationCheck = document.getElementById("backTranslationCheck");
     const saveBtn = document.getElementById("saveBtn");
     const statusMsg = document.getElementById("statusMsg");
+    const contactList = document.getElementById("contactList");
+    const newContactEmail = document.getElementById("newContactEmail");
+    const newContactLang = document.getElementById("newContactLang");
+    const addContactBtn = document.getElementById("addContactBtn");
+    const readLanguageList = document.getElementById("readLanguageList");
+    const newReadLanguage = document.getElementById("newReadLanguage");
+    const addReadLanguageBtn = document.getElementById("addReadLanguageBtn");
+    const ruleList = document.getElementById("ruleList");
+    const addRuleBtn = document.getElementById("addRuleBtn");
+    const importRulesBtn = document.getElementById("importRulesBtn");
+    const exportRulesBtn = document.getElementById("exportRulesBtn");
+    const rulesFile = document.getElementById("rulesFile");
+    const glossaryList = document.getElementById("glossaryList");
+    const newGlossaryTerm = document.getElementById("newGlossaryTerm");
+    const newGlossaryTranslation = document.getElementById("newGlossaryTranslation");
+    const newGlossarySource = document.getElementById("newGlossarySource");
+    const newGlossaryTarget = document.getElementById("newGlossaryTarget");
+    const addGlossaryBtn = document.getElementById("addGlossaryBtn");
+    const keepList = document.getElementById("keepList");
+    const newKeepTerm = document.getElementById("newKeepTerm");
+    const addKeepBtn = document.getElementById("addKeepBtn");
+    const importGlossaryBtn = document.getElementById("importGlossaryBtn");
+    const exportGlossaryBtn = document.getElementById("exportGlossaryBtn");
+    const glossaryFile = document.getElementById("glossaryFile");
+    const usageApiSelect = document.getElementById("usageApi");
+    const usageTotals = document.getElementById("usageTotals");
+    const usageChart = document.getElementById("usageChart");
+    const usageCounts = document.getElementById("usageCounts");
+    const dailyCapInput = document.getElementById("dailyCap");
+    const monthlyCapInput = document.getElementById("monthlyCap");
+    const summaryModelSelect = document.getElementById("summaryModel");
+    const summaryStyleSelect = document.getElementById("summaryStyle");
+    const summaryLengthSelect = document.getElementById("summaryLength");
+    const promptStyleSelect = document.getElementById("promptStyle");
+    const summaryPromptInput = document.getElementById("summaryPrompt");
+    const resetPromptBtn = document.getElementById("resetPromptBtn");
+    const concurrencySelect = document.getElementById("requestConcurrency");
+    const cacheStats = document.getElementById("cacheStats");
+    const clearCacheBtn = document.getElementById("clearCacheBtn");
 
     // Load saved settings
     chrome.storage.local.get(
-        ["lingoApiKey", "geminiApiKey", "targetLanguage", "autoTranslate"],
+        [
+            "lingoApiKey", "geminiApiKey", "targetLanguage", "autoTranslate",
+            "translationProvider", "libreTranslateUrl", "libreTranslateApiKey",
+            "replyMode", "sendGuard", "backTranslationCheck", "inboxTranslation",
+        ],
         (result) => {
             if (result.lingoApiKey) apiKeyInput.value = result.lingoApiKey;
             if (result.geminiApiKey) geminiKeyInput.value = result.geminiApiKey;
             if (result.targetLanguage) targetLangSelect.value = result.targetLanguage;
+            if (result.translationProvider) providerSelect.value = result.translationProvider;
+            if (result.libreTranslateUrl) libreUrlInput.value = result.libreTranslateUrl;
+            if (result.libreTranslateApiKey) libreKeyInput.value = result.libreTranslateApiKey;
+            if (result.replyMode) replyModeSelect.value = result.replyMode;
+            if (result.inboxTranslation) inboxTranslationSelect.value = result.inboxTranslation;
+            sendGuardCheck.checked = result.sendGuard === true;
+            backTranslationCheck.checked = result.backTranslationCheck === true;
             autoTranslateCheck.checked = result.autoTranslate !== undefined ? result.autoTranslate : true;
+            updateProviderFields();
+            usageApiSelect.value = providerSelect.value;
+            loadUsage();
         }
     );
 
+    // Only show the credential fields for the selected provider
+    function updateProviderFields() {
+        document.querySelectorAll("[data-provider]").forEach((group) => {
+            group.style.display = group.dataset.provider === providerSelect.value ? "" : "none";
+        });
+    }
+
+    providerSelect.addEventListener("change", updateProviderFields);
+
     // Toggle API key visibility
-    toggleKeyBtn.addEventListener("click", () => {
-        if (apiKeyInput.type === "password") {
-            apiKeyInput.type = "text";
-            toggleKeyBtn.textContent = "🙈";
-        } else {
-            apiKeyInput.type = "password";
-            toggleKeyBtn.textContent = "👁️";
-        }
-    });
+    function bindVisibilityToggle(input, btn) {
+        btn.addEventListener("click", () => {
+            if (input.type === "password") {
+                input.type = "text";
+                btn.textContent = "🙈";
+            } else {
+                input.type = "password";
+                btn.textContent = "👁️";
+            }
+        });
+    }
 
-    // Toggle Gemini key visibility
-    toggleGeminiBtn.addEventListener("click", () => {
-        if (geminiKeyInput.type === "password") {
-            geminiKeyInput.type = "text";
-            toggleGeminiBtn.textContent = "🙈";
-        } else {
-            geminiKeyInput.type = "password";
-            toggleGeminiBtn.textContent = "👁️";
-        }
-    });
+    bindVisibilityToggle(apiKeyInput, toggleKeyBtn);
+    bindVisibilityToggle(geminiKeyInput, toggleGeminiBtn);
+    bindVisibilityToggle(libreKeyInput, toggleLibreBtn);
 
     // Save settings
-    saveBtn.addEventListener("click", () => {
+    saveBtn.addEventListener("click", async () => {
         const apiKey = apiKeyInput.value.trim();
         const geminiApiKey = geminiKeyInput.value.trim();
+        const translationProvider = providerSelect.value;
+        const libreTranslateUrl = libreUrlInput.value.trim().replace(/\/+$/, "");
+        const libreTranslateApiKey = libreKeyInput.value.trim();
         const targetLanguage = targetLangSelect.value;
         const autoTranslate = autoTranslateCheck.checked;
+        const replyMode = replyModeSelect.value;
+        const inboxTranslation = inboxTranslationSelect.value;
+        const sendGuard = sendGuardCheck.checked;
+        const backTranslation = backTranslationCheck.checked;
 
-        if (!apiKey) {
+        if (translationProvider === "lingo" && !apiKey) {
             showStatus("Please enter your Lingo.dev API key", "error");
             return;
         }
+        if (translationProvider === "gemini" && !geminiApiKey) {
+            showStatus("Please enter your Gemini API key", "error");
+            return;
+        }
+        if (translationProvider === "libretranslate") {
+            if (!/^https?:\/\//.test(libreTranslateUrl)) {
+                showStatus("Please enter a valid LibreTranslate server URL", "error");
+                return;
+            }
+            // Self-hosted servers need host access granted at runtime
+            const granted = await chrome.permissions.request({
+                origins: [`${new URL(libreTranslateUrl).origin}/*`],
+            });
+            if (!granted) {
+                showStatus("Lingo-Mail needs access to your LibreTranslate server", "error");
+                return;
+            }
+        }
 
         saveBtn.disabled = true;
         saveBtn.innerHTML = '<span class="save-icon">⏳</span> Saving...';
 
         chrome.storage.local.set(
-            { lingoApiKey: apiKey, geminiApiKey, targetLanguage, autoTranslate },
+            {
+                lingoApiKey: apiKey,
+                geminiApiKey,
+                translationProvider,
+                libreTranslateUrl,
+                libreTranslateApiKey,
+                targetLanguage,
+                autoTranslate,
+                replyMode,
+                inboxTranslation,
+                sendGuard,
+                backTranslationCheck: backTranslation,
+            },
             () => {
                 showStatus("Settings saved successfully!", "success");
                 saveBtn.disabled = false;
@@ -68,10 +170,765 @@ document.addEventListener("DOMContentLoaded", () => {
                 setTimeout(() => {
                     saveBtn.innerHTML = '<span class="save-icon">💾</span> Save Settings';
                 }, 2000);
+
+                checkTargetLanguageSupport(targetLanguage);
             }
         );
     });
 
+    // Warn when the chosen provider can't translate into the target language
+    function checkTargetLanguageSupport(targetLanguage) {
+        chrome.runtime.sendMessage({ action: "getSupportedLocales" }, (result) => {
+            if (!result || result.error) {
+                if (result?.error) showStatus(result.error, "error");
+                return;
+            }
+            if (!result.locales.includes(targetLanguage)) {
+                const langName = targetLangSelect.selectedOptions[0]?.textContent || targetLanguage;
+                showStatus(`The selected provider does not support ${langName}`, "error");
+            }
+        });
+    }
+
+    // Language <select> elements reuse the options of the target language list
+    function createLanguageSelect(value) {
+        const select = document.createElement("select");
+        select.className = "compact-select";
+        Array.from(targetLangSelect.options).forEach((opt) => {
+            select.appendChild(opt.cloneNode(true));
+        });
+        if (value) select.value = value;
+        return select;
+    }
+
+    function downloadFile(filename, content, type) {
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(new Blob([content], { type }));
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    // A file picker closes the popup before the file arrives, so imports
+    // run in this same page opened in a tab at the section that asked
+    const tabSection = new URLSearchParams(location.search).get("section");
+    if (tabSection) {
+        document.body.classList.add("in-tab");
+        const section = document.getElementById(`${tabSection}Section`);
+        if (section) {
+            section.open = true;
+            section.scrollIntoView();
+        }
+    }
+
+    function pickImportFile(section, fileInput) {
+        if (tabSection) {
+            fileInput.click();
+            return;
+        }
+        chrome.tabs.create({ url: chrome.runtime.getURL(`popup.html?section=${section}`) });
+    }
+
+    // Languages the user reads besides the target language
+    let readLanguages = [];
+
+    function saveReadLanguages() {
+        chrome.storage.local.set({ readLanguages });
+        renderReadLanguages();
+    }
+
+    function renderReadLanguages() {
+        readLanguageList.innerHTML = "";
+        if (readLanguages.length === 0) {
+            renderEmpty(readLanguageList, "Only the language above");
+            return;
+        }
+
+        readLanguages.forEach((code) => {
+            const name = languageLabel(code);
+            readLanguageList.appendChild(createListItem(name, `${name} emails are not translated automatically`, () => {
+                readLanguages = readLanguages.filter((c) => c !== code);
+                saveReadLanguages();
+            }));
+        });
+    }
+
+    Array.from(targetLangSelect.options).forEach((opt) => {
+        newReadLanguage.appendChild(opt.cloneNode(true));
+    });
+
+    addReadLanguageBtn.addEventListener("click", () => {
+        const code = newReadLanguage.value;
+        if (readLanguages.includes(code)) return;
+        readLanguages = [...readLanguages, code];
+        saveReadLanguages();
+    });
+
+    chrome.storage.local.get(["readLanguages"], (result) => {
+        readLanguages = Array.isArray(result.readLanguages) ? result.readLanguages : [];
+        renderReadLanguages();
+    });
+
+    // Auto-translate rules, saved as soon as they change
+    const RULE_FIELDS = [
+        ["sender", "Sender is"],
+        ["domain", "Domain is"],
+        ["label", "Has label"],
+        ["language", "Language is"],
+        ["longerThan", "Longer than (chars)"],
+        ["shorterThan", "Shorter than (chars)"],
+    ];
+    const RULE_ACTIONS = [
+        ["translate", "Always translate"],
+        ["never", "Never translate"],
+        ["manual", "Show button only"],
+        ["summarize", "Auto-summarize"],
+    ];
+    let rules = [];
+
+    function createOptionSelect(options, value) {
+        const select = document.createElement("select");
+        select.className = "compact-select";
+        options.forEach(([optionValue, label]) => {
+            const opt = document.createElement("option");
+            opt.value = optionValue;
+            opt.textContent = label;
+            select.appendChild(opt);
+        });
+        select.value = value;
+        return select;
+    }
+
+    function saveRules() {
+        chrome.storage.local.set({ autoTranslateRules: rules });
+        renderRules();
+    }
+
+    function moveRule(index, offset) {
+        const [rule] = rules.splice(index, 1);
+        rules.splice(index + offset, 0, rule);
+        saveRules();
+    }
+
+    function renderRules() {
+        ruleList.innerHTML = "";
+        if (rules.length === 0) {
+            const empty = document.createElement("span");
+            empty.className = "empty-hint";
+            empty.textContent = "No rules yet";
+            ruleList.appendChild(empty);
+            return;
+        }
+
+        rules.forEach((rule, index) => {
+            const item = document.createElement("div");
+            item.className = `rule-item${rule.enabled === false ? " disabled" : ""}`;
+
+            const conditionRow = document.createElement("div");
+            conditionRow.className = "list-item";
+
+            const enabled = document.createElement("input");
+            enabled.type = "checkbox";
+            enabled.checked = rule.enabled !== false;
+            enabled.title = "Rule enabled";
+            enabled.addEventListener("change", () => {
+                rule.enabled = enabled.checked;
+                saveRules();
+            });
+
+            const field = createOptionSelect(RULE_FIELDS, rule.field);
+            field.addEventListener("change", () => {
+                rule.field = field.value;
+                rule.value = rule.field === "language" ? targetLangSelect.value : "";
+                saveRules();
+            });
+
+            let value;
+            if (rule.field === "language") {
+                value = createLanguageSelect(rule.value);
+            } else {
+                value = document.createElement("input");
+                value.className = "text-input";
+                value.type = rule.field === "longerThan" || rule.field === "shorterThan" ? "number" : "text";
+                value.placeholder = {
+                    sender: "news@*", domain: "partner.com.br", label: "Newsletters",
+                }[rule.field] || "2000";
+                value.value = rule.value || "";
+            }
+            value.addEventListener("change", () => {
+                rule.value = value.value.trim();
+                chrome.storage.local.set({ autoTranslateRules: rules });
+            });
+
+            conditionRow.appendChild(enabled);
+            conditionRow.appendChild(field);
+            conditionRow.appendChild(value);
+
+            const actionRow = document.createElement("div");
+            actionRow.className = "list-item";
+
+            const action = createOptionSelect(RULE_ACTIONS, rule.action);
+            action.addEventListener("change", () => {
+                rule.action = action.value;
+                saveRules();
+            });
+
+            const spacer = document.createElement("span");
+            spacer.className = "list-item-label";
+
+            const buttons = [
+                ["↑", "Move up", index === 0, () => moveRule(index, -1)],
+                ["↓", "Move down", index === rules.length - 1, () => moveRule(index, 1)],
+                ["✕", "Delete rule", false, () => {
+                    rules.splice(index, 1);
+                    saveRules();
+                }],
+            ].map(([label, title, disabled, onClick]) => {
+                const btn = document.createElement("button");
+                btn.className = "remove-btn";
+                btn.textContent = label;
+                btn.title = title;
+                btn.disabled = disabled;
+                btn.addEventListener("click", onClick);
+                return btn;
+            });
+
+            actionRow.appendChild(action);
+            actionRow.appendChild(spacer);
+            buttons.forEach((btn) => actionRow.appendChild(btn));
+
+            item.appendChild(conditionRow);
+            item.appendChild(actionRow);
+            ruleList.appendChild(item);
+        });
+    }
+
+    function isValidRule(rule) {
+        return rule && RULE_FIELDS.some(([field]) => field === rule.field) &&
+            RULE_ACTIONS.some(([action]) => action === rule.action) &&
+            typeof (rule.value ?? "") === "string";
+    }
+
+    chrome.storage.local.get(["autoTranslateRules"], (result) => {
+        rules = Array.isArray(result.autoTranslateRules) ? result.autoTranslateRules : [];
+        renderRules();
+    });
+
+    addRuleBtn.addEventListener("click", () => {
+        rules.push({ field: "domain", value: "", action: "translate", enabled: true });
+        saveRules();
+        ruleList.querySelector(".rule-item:last-child .text-input")?.focus();
+    });
+
+    exportRulesBtn.addEventListener("click", () => {
+        downloadFile("lingo-mail-rules.json", JSON.stringify(rules, null, 2), "application/json");
+    });
+
+    importRulesBtn.addEventListener("click", () => pickImportFile("rules", rulesFile));
+
+    rulesFile.addEventListener("change", async () => {
+        const file = rulesFile.files[0];
+        rulesFile.value = "";
+        if (!file) return;
+
+        let imported;
+        try {
+            imported = JSON.parse(await file.text());
+        } catch {
+            showStatus("That file is not a valid rules export", "error");
+            return;
+        }
+        const valid = (Array.isArray(imported) ? imported : []).filter(isValidRule).map((rule) => ({
+            field: rule.field,
+            value: `${rule.value ?? ""}`.trim(),
+            action: rule.action,
+            enabled: rule.enabled !== false,
+        }));
+        if (valid.length === 0) {
+            showStatus("No rules found in that file", "error");
+            return;
+        }
+        rules = [...rules, ...valid];
+        saveRules();
+        showStatus(`Imported ${valid.length} rule${valid.length === 1 ? "" : "s"}`, "success");
+    });
+
+    // Contact languages
+    function loadContacts() {
+        chrome.runtime.sendMessage({ action: "getContactLanguages" }, (result) => {
+            renderContacts(result?.contactLanguages || {});
+        });
+    }
+
+    function saveContact(email, locale, onDone) {
+        chrome.runtime.sendMessage({ action: "setContactLanguage", email, locale }, (result) => {
+            if (result?.error) {
+                showStatus(result.error, "error");
+                return;
+            }
+            if (onDone) onDone();
+        });
+    }
+
+    function renderContacts(contacts) {
+        contactList.innerHTML = "";
+        const emails = Object.keys(contacts).sort();
+
+        if (emails.length === 0) {
+            const empty = document.createElement("span");
+            empty.className = "empty-hint";
+            empty.textContent = "No contacts learned yet";
+            contactList.appendChild(empty);
+            return;
+        }
+
+        emails.forEach((email) => {
+            const row = document.createElement("div");
+            row.className = "list-item";
+
+            const label = document.createElement("span");
+            label.className = "list-item-label";
+            label.textContent = email;
+            label.title = contacts[email].manual ? `${email} (set manually)` : `${email} (learned)`;
+
+            const select = createLanguageSelect(contacts[email].locale);
+            select.addEventListener("change", () => {
+                saveContact(email, select.value, () => {
+                    label.title = `${email} (set manually)`;
+                });
+            });
+
+            const removeBtn = document.createElement("button");
+            removeBtn.className = "remove-btn";
+            removeBtn.title = "Forget this contact";
+            removeBtn.textContent = "✕";
+            removeBtn.addEventListener("click", () => {
+                saveContact(email, null, loadContacts);
+            });
+
+            row.appendChild(label);
+            row.appendChild(select);
+            row.appendChild(removeBtn);
+            contactList.appendChild(row);
+        });
+    }
+
+    Array.from(targetLangSelect.options).forEach((opt) => {
+        newContactLang.appendChild(opt.cloneNode(true));
+    });
+
+    addContactBtn.addEventListener("click", () => {
+        const email = newContactEmail.value.trim();
+        if (!/^[^\s@]+@[^\s@]+$/.test(email)) {
+            showStatus("Please enter a valid email address", "error");
+            return;
+        }
+        saveContact(email, newContactLang.value, () => {
+            newContactEmail.value = "";
+            loadContacts();
+        });
+    });
+
+    loadContacts();
+
+    // Glossary and do-not-translate terms
+    let glossary = { terms: [], keep: [] };
+
+    function findLanguageOption(code) {
+        return Array.from(targetLangSelect.options).find((opt) => opt.value === code);
+    }
+
+    function languageLabel(code) {
+        if (!code) return "Any";
+        return findLanguageOption(code)?.textContent || code;
+    }
+
+    function loadGlossary() {
+        chrome.runtime.sendMessage({ action: "getGlossary" }, (result) => {
+            glossary = result?.glossary || { terms: [], keep: [] };
+            renderGlossary();
+        });
+    }
+
+    function saveGlossary(next, onDone) {
+        chrome.runtime.sendMessage({ action: "setGlossary", glossary: next }, (result) => {
+            if (result?.error) {
+                showStatus(result.error, "error");
+                return;
+            }
+            glossary = result.glossary;
+            renderGlossary();
+            if (onDone) onDone();
+        });
+    }
+
+    function createListItem(text, title, onRemove) {
+        const row = document.createElement("div");
+        row.className = "list-item";
+
+        const label = document.createElement("span");
+        label.className = "list-item-label";
+        label.textContent = text;
+        label.title = title;
+
+        const removeBtn = document.createElement("button");
+        removeBtn.className = "remove-btn";
+        removeBtn.title = "Remove";
+        removeBtn.textContent = "✕";
+        removeBtn.addEventListener("click", onRemove);
+
+        row.appendChild(label);
+        row.appendChild(removeBtn);
+        return row;
+    }
+
+    function renderEmpty(list, message) {
+        const empty = document.createElement("span");
+        empty.className = "empty-hint";
+        empty.textContent = message;
+        list.appendChild(empty);
+    }
+
+    function renderGlossary() {
+        glossaryList.innerHTML = "";
+        if (glossary.terms.length === 0) renderEmpty(glossaryList, "No glossary terms yet");
+        glossary.terms.forEach((entry, index) => {
+            const pair = `${languageLabel(entry.sourceLocale)} → ${languageLabel(entry.targetLocale)}`;
+            glossaryList.appendChild(createListItem(
+                `${entry.term} → ${entry.translation}`,
+                `${entry.term} → ${entry.translation} (${pair})`,
+                () => saveGlossary({ ...glossary, terms: glossary.terms.filter((_, i) => i !== index) })
+            ));
+        });
+
+        keepList.innerHTML = "";
+        if (glossary.keep.length === 0) renderEmpty(keepList, "No protected terms yet");
+        glossary.keep.forEach((term) => {
+            keepList.appendChild(createListItem(term, `"${term}" is never translated`, () =>
+                saveGlossary({ ...glossary, keep: glossary.keep.filter((t) => t !== term) })
+            ));
+        });
+    }
+
+    // Adding a term that already exists for the same pair replaces it
+    function mergeGlossary(base, additions) {
+        const sameEntry = (a, b) => a.term.toLowerCase() === b.term.toLowerCase() &&
+            a.sourceLocale === b.sourceLocale && a.targetLocale === b.targetLocale;
+        const terms = base.terms.filter((entry) => !additions.terms.some((added) => sameEntry(entry, added)));
+        return {
+            terms: [...terms, ...additions.terms],
+            keep: [...base.keep, ...additions.keep.filter((term) => !base.keep.includes(term))],
+        };
+    }
+
+    [newGlossarySource, newGlossaryTarget].forEach((select) => {
+        const any = document.createElement("option");
+        any.value = "";
+        any.textContent = "Any language";
+        select.appendChild(any);
+        Array.from(targetLangSelect.options).forEach((opt) => {
+            select.appendChild(opt.cloneNode(true));
+        });
+    });
+    newGlossaryTarget.value = targetLangSelect.value;
+
+    addGlossaryBtn.addEventListener("click", () => {
+        const term = newGlossaryTerm.value.trim();
+        const translation = newGlossaryTranslation.value.trim();
+        if (!term || !translation) {
+            showStatus("Please enter a term and its translation", "error");
+            return;
+        }
+        const entry = {
+            term,
+            translation,
+            sourceLocale: newGlossarySource.value,
+            targetLocale: newGlossaryTarget.value,
+        };
+        saveGlossary(mergeGlossary(glossary, { terms: [entry], keep: [] }), () => {
+            newGlossaryTerm.value = "";
+            newGlossaryTranslation.value = "";
+        });
+    });
+
+    addKeepBtn.addEventListener("click", () => {
+        const term = newKeepTerm.value.trim();
+        if (!term) return;
+        saveGlossary(mergeGlossary(glossary, { terms: [], keep: [term] }), () => {
+            newKeepTerm.value = "";
+        });
+    });
+
+    // CSV columns: type ("glossary" or "keep"), term, translation, source, target
+    const GLOSSARY_CSV_HEADER = ["type", "term", "translation", "source_language", "target_language"];
+
+    function toCsvField(value) {
+        const text = value || "";
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = "";
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ",") {
+                row.push(field);
+                field = "";
+            } else if (char === "\n" || char === "\r") {
+                if (char === "\r" && text[i + 1] === "\n") i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = "";
+            } else {
+                field += char;
+            }
+        }
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter((cells) => cells.some((cell) => cell.trim()));
+    }
+
+    exportGlossaryBtn.addEventListener("click", () => {
+        const rows = [
+            GLOSSARY_CSV_HEADER,
+            ...glossary.terms.map((entry) =>
+                ["glossary", entry.term, entry.translation, entry.sourceLocale, entry.targetLocale]),
+            ...glossary.keep.map((term) => ["keep", term, "", "", ""]),
+        ];
+        const csv = rows.map((cells) => cells.map(toCsvField).join(",")).join("\r\n");
+        downloadFile("lingo-mail-glossary.csv", csv, "text/csv");
+    });
+
+    importGlossaryBtn.addEventListener("click", () => pickImportFile("glossary", glossaryFile));
+
+    glossaryFile.addEventListener("change", async () => {
+        const file = glossaryFile.files[0];
+        glossaryFile.value = "";
+        if (!file) return;
+
+        const rows = parseCsv(await file.text());
+        if (rows[0]?.[0]?.trim().toLowerCase() === GLOSSARY_CSV_HEADER[0]) rows.shift();
+
+        // An empty language means "any"; anything else must be a known code
+        const isValidLocale = (code) => !code || !!findLanguageOption(code);
+        const additions = { terms: [], keep: [] };
+        let skipped = 0;
+        rows.forEach(([type, term, translation, sourceLocale, targetLocale]) => {
+            const kind = (type || "").trim().toLowerCase();
+            const source = (sourceLocale || "").trim();
+            const target = (targetLocale || "").trim();
+            if (kind === "keep" && term?.trim()) {
+                additions.keep.push(term.trim());
+            } else if (kind === "glossary" && term?.trim() && translation?.trim() &&
+                isValidLocale(source) && isValidLocale(target)) {
+                additions.terms.push({
+                    term: term.trim(),
+                    translation: translation.trim(),
+                    sourceLocale: source,
+                    targetLocale: target,
+                });
+            } else if (kind === "glossary") {
+                skipped++;
+            }
+        });
+
+        const count = additions.terms.length + additions.keep.length;
+        const skippedNote = skipped > 0 ? ` (${skipped} skipped: missing text or unknown language)` : "";
+        if (count === 0) {
+            showStatus(`No glossary rows found in that file${skippedNote}`, "error");
+            return;
+        }
+        saveGlossary(mergeGlossary(glossary, additions), () => {
+            showStatus(`Imported ${count} glossary ${count === 1 ? "entry" : "entries"}${skippedNote}`, "success");
+        });
+    });
+
+    loadGlossary();
+
+    // Translation cache
+    function refreshCacheStats() {
+        chrome.runtime.sendMessage({ action: "getCacheStats" }, (stats) => {
+            if (!stats) return;
+            const kb = Math.round(stats.bytes / 1024);
+            cacheStats.textContent = `${stats.entries} cached results (${kb} KB)`;
+        });
+    }
+
+    clearCacheBtn.addEventListener("click", () => {
+        clearCacheBtn.disabled = true;
+        chrome.runtime.sendMessage({ action: "clearCache" }, (result) => {
+            clearCacheBtn.disabled = false;
+            if (result?.error) {
+                showStatus(result.error, "error");
+                return;
+            }
+            showStatus("Translation cache cleared", "success");
+            refreshCacheStats();
+        });
+    });
+
+    refreshCacheStats();
+
+    // Usage and budget caps
+    const USAGE_CHART_DAYS = 14;
+    let usageReport = { usage: {}, caps: {}, units: {} };
+
+    function localDayKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, "0");
+        const day = String(date.getDate()).padStart(2, "0");
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    function loadUsage() {
+        chrome.runtime.sendMessage({ action: "getUsage" }, (result) => {
+            if (!result || result.error) return;
+            usageReport = result;
+            renderUsage();
+        });
+    }
+
+    function renderUsage() {
+        const api = usageApiSelect.value;
+        const unit = usageReport.units[api] || "characters";
+        const amountOn = (day, counter = unit) => usageReport.usage[day]?.[api]?.[counter] || 0;
+
+        const today = localDayKey(new Date());
+        const month = today.substring(0, 7);
+        const monthDays = Object.keys(usageReport.usage).filter((day) => day.startsWith(month));
+        const monthTotal = (counter) => monthDays.reduce((sum, day) => sum + amountOn(day, counter), 0);
+
+        usageTotals.textContent = `Today ${amountOn(today).toLocaleString()} · ` +
+            `Month ${monthTotal(unit).toLocaleString()} ${unit}`;
+
+        const days = [];
+        for (let i = USAGE_CHART_DAYS - 1; i >= 0; i--) {
+            days.push(localDayKey(new Date(Date.now() - i * 24 * 60 * 60 * 1000)));
+        }
+        const peak = Math.max(1, ...days.map((day) => amountOn(day)));
+        usageChart.innerHTML = "";
+        days.forEach((day) => {
+            const bar = document.createElement("div");
+            const amount = amountOn(day);
+            bar.className = `usage-bar${day === today ? " today" : ""}${amount === 0 ? " empty" : ""}`;
+            bar.style.height = `${Math.round((amount / peak) * 100)}%`;
+            bar.title = `${day}: ${amount.toLocaleString()} ${unit}`;
+            usageChart.appendChild(bar);
+        });
+
+        const counts = [
+            ["detections", "detections"],
+            ["summaries", "summaries"],
+            ["pdfChunks", "PDF chunks"],
+        ].map(([counter, label]) => `${monthTotal(counter).toLocaleString()} ${label}`);
+        if (unit !== "characters") counts.unshift(`${monthTotal("characters").toLocaleString()} characters`);
+        usageCounts.textContent = `This month: ${counts.join(" · ")}`;
+
+        const caps = usageReport.caps[api] || {};
+        dailyCapInput.value = caps.daily || "";
+        monthlyCapInput.value = caps.monthly || "";
+        dailyCapInput.placeholder = `Daily cap (${unit})`;
+        monthlyCapInput.placeholder = `Monthly cap (${unit})`;
+    }
+
+    function saveUsageCaps() {
+        const api = usageApiSelect.value;
+        const caps = { daily: dailyCapInput.value, monthly: monthlyCapInput.value };
+        chrome.runtime.sendMessage({ action: "setUsageCaps", api, caps }, (result) => {
+            if (result?.error) {
+                showStatus(result.error, "error");
+                return;
+            }
+            usageReport.caps = result.caps;
+            renderUsage();
+        });
+    }
+
+    usageApiSelect.addEventListener("change", renderUsage);
+    dailyCapInput.addEventListener("change", saveUsageCaps);
+    monthlyCapInput.addEventListener("change", saveUsageCaps);
+
+    // Summary settings apply immediately. A template equal to the default
+    // (or left empty) is not stored, so later default changes still apply.
+    let summaryPrompts = {};
+    let defaultSummaryPrompts = {};
+
+    function showPromptTemplate() {
+        const style = promptStyleSelect.value;
+        summaryPromptInput.value = summaryPrompts[style] || defaultSummaryPrompts[style] || "";
+    }
+
+    chrome.storage.local.get(["summaryModel", "summaryStyle", "summaryLength", "summaryPrompts"], (result) => {
+        if (result.summaryModel) summaryModelSelect.value = result.summaryModel;
+        if (result.summaryStyle) summaryStyleSelect.value = result.summaryStyle;
+        summaryLengthSelect.value = String(result.summaryLength || 0);
+        summaryPrompts = result.summaryPrompts || {};
+        promptStyleSelect.value = summaryStyleSelect.value;
+        chrome.runtime.sendMessage({ action: "getSummaryPrompts" }, (defaults) => {
+            defaultSummaryPrompts = defaults?.prompts || {};
+            showPromptTemplate();
+        });
+    });
+
+    summaryModelSelect.addEventListener("change", () => {
+        chrome.storage.local.set({ summaryModel: summaryModelSelect.value });
+    });
+
+    summaryStyleSelect.addEventListener("change", () => {
+        chrome.storage.local.set({ summaryStyle: summaryStyleSelect.value });
+        promptStyleSelect.value = summaryStyleSelect.value;
+        showPromptTemplate();
+    });
+
+    summaryLengthSelect.addEventListener("change", () => {
+        chrome.storage.local.set({ summaryLength: Number(summaryLengthSelect.value) });
+    });
+
+    promptStyleSelect.addEventListener("change", showPromptTemplate);
+
+    summaryPromptInput.addEventListener("change", () => {
+        const style = promptStyleSelect.value;
+        const template = summaryPromptInput.value.trim();
+        if (!template || template === defaultSummaryPrompts[style]) {
+            delete summaryPrompts[style];
+        } else {
+            summaryPrompts[style] = template;
+        }
+        chrome.storage.local.set({ summaryPrompts });
+        showPromptTemplate();
+    });
+
+    resetPromptBtn.addEventListener("click", () => {
+        delete summaryPrompts[promptStyleSelect.value];
+        chrome.storage.local.set({ summaryPrompts });
+        showPromptTemplate();
+    });
+
+    // Request concurrency applies immediately, like the lists above
+    chrome.storage.local.get(["requestConcurrency"], (result) => {
+        if (result.requestConcurrency) concurrencySelect.value = String(result.requestConcurrency);
+    });
+
+    concurrencySelect.addEventListener("change", () => {
+        chrome.storage.local.set({ requestConcurrency: Number(concurrencySelect.value) });
+    });
+
     function showStatus(message, type) {
         statusMsg.textContent = message;
         statusMsg.className = `status-msg ${type}`;